@@ -1,3 +1,6 @@
+import { parseSfz, normalizeSamplePath } from "./sfz";
+import { playSynthVoice } from "./synth";
+
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 let isAudioInitialized = false;
 
@@ -6,9 +9,46 @@ const masterGainNode = audioContext.createGain();
 masterGainNode.gain.value = 0.5; // Set initial volume
 masterGainNode.connect(audioContext.destination);
 
-// SFZ data
-let regions = [];
-const cachedNoteBuffers = new Map();
+// Highest MIDI velocity, used by default (e.g. for pointer input)
+const MAX_VELOCITY = 127;
+
+// Instruments by id: { id, name, type: "sfz" | "synth", ... }
+// SFZ instruments are loaded on demand into regions and decoded buffers.
+// Built-in ones are fetched from path; user sample packs carry sfzText and
+// files (Blobs keyed by normalized sample path).
+const DEFAULT_INSTRUMENT_ID = "grand-piano";
+const instruments = new Map();
+
+[
+  { id: "grand-piano", name: "Grand Piano", type: "sfz", path: "piano.sfz" },
+  {
+    id: "electric-piano",
+    name: "Electric Piano",
+    type: "synth",
+    preset: "electric-piano",
+  },
+  { id: "synth", name: "Synth", type: "synth", preset: "basic" },
+].forEach(registerInstrument);
+
+// Song clock: song time (seconds at 100% tempo) follows the audio clock, so
+// the visuals and the scheduled sounds share one timeline.
+const songClock = { anchorAudioTime: 0, anchorSongTime: 0, rate: 1 };
+
+// Look-ahead scheduler: events are handed to the Web Audio API slightly
+// ahead of time, with exact start times, from a timer that does not depend
+// on the frame rate.
+const SCHEDULE_AHEAD_TIME = 0.1; // seconds
+const SCHEDULER_INTERVAL = 25; // milliseconds
+let songEvents = []; // { time: songTime, callback(when) }, sorted by time
+let schedulerTimer = null;
+const scheduledNodes = new Set();
+
+// Notes started by playPreview, until stopPreview
+const previewNodes = new Set();
+
+// Sustain pedal state per group ("player" input, "song" playback).
+// Notes released while a group's pedal is down ring until it is lifted.
+const sustainGroups = new Map();
 
 const ORDERED_NOTE_NAMES = [
   "C",
@@ -83,6 +123,18 @@ async function initAudio() {
   isAudioInitialized = true;
 }
 
+/**
+ * Pauses or resumes all audio. The song clock follows the audio clock, so it
+ * stands still while paused, and scheduled notes keep their timing.
+ */
+async function setAudioPaused(isPaused) {
+  if (isPaused) {
+    await audioContext.suspend();
+  } else {
+    await audioContext.resume();
+  }
+}
+
 function noteNameToMidi(note) {
   const noteNameMatch = note.match(/([A-Ga-g]#?)/i);
   const octaveMatch = note.match(/(\d+)/);
@@ -101,63 +153,164 @@ function noteNameToMidi(note) {
   return 12 * (octave + 1) + noteIndex;
 }
 
-async function loadSfz(path) {
-  try {
-    const response = await fetch(path);
-    if (!response.ok) throw new Error("SFZ not found");
-    const sfzText = await response.text();
-    const lines = sfzText.split(/\r?\n/);
-    for (const line of lines) {
-      if (!line.startsWith("<region>")) continue;
-      const parts = line.replace("<region>", "").trim().split(/\s+/);
-      const region = {};
-      for (const part of parts) {
-        const [key, value] = part.split("=");
-        // @ts-ignore
-        region[key] = isNaN(Number(value)) ? value : Number(value);
-      }
-      regions.push(region);
-    }
-  } catch (e) {
-    console.warn(
-      "Failed to load piano.sfz. Ensure it exists in the public folder.",
-      e,
-    );
-  }
+function registerInstrument(instrument) {
+  instruments.set(instrument.id, {
+    ...instrument,
+    regions: [],
+    buffers: new Map(),
+    isLoaded: instrument.type === "synth",
+  });
+}
+
+function hasInstrument(id) {
+  return instruments.has(id);
+}
+
+function getInstruments() {
+  return [...instruments.values()].map(({ id, name }) => ({ id, name }));
 }
 
-async function cacheAllNoteSounds() {
-  console.log("Caching note sounds...");
-  cachedNoteBuffers.clear();
-  await loadSfz("piano.sfz");
+async function cacheRegionSamples(instrument, regions, readSample) {
+  instrument.regions = regions;
+  instrument.buffers.clear();
 
   const samplePaths = [...new Set(regions.map((region) => region.sample))];
 
   const cachePromises = samplePaths.map(async (path) => {
     try {
-      const response = await fetch(path);
-      const arrayBuffer = await response.arrayBuffer();
+      const arrayBuffer = await readSample(path);
       const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-      cachedNoteBuffers.set(path, audioBuffer);
+      instrument.buffers.set(path, audioBuffer);
     } catch (e) {
       console.warn(`Could not load sound for ${path}`);
     }
   });
 
   await Promise.all(cachePromises);
-  console.log("Note sounds cached!");
 }
 
-function playNote(note) {
+async function loadSfzFromUrl(instrument) {
+  const response = await fetch(instrument.path);
+  if (!response.ok) throw new Error("SFZ not found");
+  const sfzText = await response.text();
+  // Sample paths are relative to the SFZ file
+  const sfzUrl = new URL(instrument.path, window.location.href);
+
+  await cacheRegionSamples(instrument, parseSfz(sfzText), async (path) => {
+    const sampleResponse = await fetch(new URL(path, sfzUrl));
+    return sampleResponse.arrayBuffer();
+  });
+}
+
+async function loadSfzFromFiles(instrument) {
+  await cacheRegionSamples(
+    instrument,
+    parseSfz(instrument.sfzText),
+    async (path) => {
+      const blob = instrument.files[normalizeSamplePath(path)];
+      if (!blob) throw new Error("Sample missing from pack");
+      return blob.arrayBuffer();
+    },
+  );
+}
+
+/**
+ * Loads the samples of an instrument (no-op when already loaded).
+ * Instruments whose samples fail to load fall back to the synth voice.
+ */
+async function loadInstrument(id) {
+  const instrument = instruments.get(id);
+  if (!instrument || instrument.isLoaded) return;
+
+  console.log(`Loading ${instrument.name}...`);
+  try {
+    if (instrument.path) {
+      await loadSfzFromUrl(instrument);
+    } else {
+      await loadSfzFromFiles(instrument);
+    }
+  } catch (e) {
+    console.warn(`Failed to load ${instrument.name}.`, e);
+  }
+  instrument.isLoaded = true;
+  console.log(`${instrument.name} loaded!`);
+}
+
+/**
+ * Computes the linear gain of a region for a velocity, from amp_veltrack (%)
+ * with the default quadratic velocity curve and volume (dB).
+ */
+function getRegionGain(region, velocity) {
+  const velTrack = region.amp_veltrack / 100;
+  const velocityCurve = (velocity / MAX_VELOCITY) ** 2;
+  const velocityGain = 1 - velTrack * (1 - velocityCurve);
+  const volumeGain = 10 ** (region.volume / 20);
+  return velocityGain * volumeGain;
+}
+
+/**
+ * Starts a note.
+ * @param {string} note - Note ID (e.g. "C#4")
+ * @param {number} [velocity] - MIDI velocity (1-127)
+ * @param {string} [instrumentId]
+ * @param {number} [when] - Start time in audioContext seconds (default: now)
+ * @returns {GainNode|null} Node to pass to stopNote / releaseNote
+ */
+function playNote(
+  note,
+  velocity = MAX_VELOCITY,
+  instrumentId = DEFAULT_INSTRUMENT_ID,
+  when = audioContext.currentTime,
+) {
   initAudio(); // Ensure context is running
+  return startVoice(
+    audioContext,
+    masterGainNode,
+    note,
+    velocity,
+    instrumentId,
+    when,
+  );
+}
 
+/**
+ * Starts a note in any audio context (see playNote). Decoded samples can be
+ * shared between contexts, so offline rendering uses the same voices.
+ */
+function startVoice(
+  context,
+  destination,
+  note,
+  velocity = MAX_VELOCITY,
+  instrumentId,
+  when,
+) {
   const midiNote = noteNameToMidi(note);
   if (!midiNote) {
     return null;
   }
 
-  const region = regions.find(
-    (r) => midiNote >= r.lokey && midiNote <= r.hikey,
+  const instrument =
+    instruments.get(instrumentId) || instruments.get(DEFAULT_INSTRUMENT_ID);
+
+  // Synth instruments, and SFZ instruments without samples, use oscillators
+  if (instrument.type === "synth" || instrument.buffers.size === 0) {
+    return playSynthVoice(
+      context,
+      destination,
+      midiNote,
+      (velocity / MAX_VELOCITY) ** 2,
+      instrument.preset,
+      when,
+    );
+  }
+
+  const region = instrument.regions.find(
+    (r) =>
+      midiNote >= r.lokey &&
+      midiNote <= r.hikey &&
+      velocity >= r.lovel &&
+      velocity <= r.hivel,
   );
 
   if (!region) {
@@ -165,53 +318,371 @@ function playNote(note) {
     return null;
   }
 
-  const cachedBuffer = cachedNoteBuffers.get(region.sample);
+  const cachedBuffer = instrument.buffers.get(region.sample);
   if (!cachedBuffer) {
     return null;
   }
 
-  const source = audioContext.createBufferSource();
+  const source = context.createBufferSource();
   source.buffer = cachedBuffer;
 
-  const pitchKeyCenter = region.pitch_keycenter || region.lokey;
-  const noteDifference = midiNote - pitchKeyCenter;
+  // Semitones away from the sample's own pitch
+  const noteDifference =
+    ((midiNote - region.pitch_keycenter) * region.pitch_keytrack) / 100 +
+    region.transpose +
+    region.tune / 100;
   const detune = (Math.random() - 0.5) * 0.1; // Slight organic detune
   source.playbackRate.value = 2 ** ((noteDifference + detune) / 12);
 
-  const noteGainNode = audioContext.createGain();
-  noteGainNode.connect(masterGainNode);
+  const noteGainNode = context.createGain();
+  const gain = getRegionGain(region, velocity);
+  if (region.ampeg_attack > 0) {
+    noteGainNode.gain.setValueAtTime(0, when);
+    noteGainNode.gain.linearRampToValueAtTime(gain, when + region.ampeg_attack);
+  } else {
+    noteGainNode.gain.setValueAtTime(gain, when);
+  }
+  noteGainNode.connect(destination);
+  // Remembered for stopNote
+  noteGainNode.releaseTime = region.ampeg_release;
+  noteGainNode.sources = [source];
 
   source.connect(noteGainNode);
-  source.start(0);
+  source.start(when);
 
   return noteGainNode;
 }
 
-function stopNote(gainNode, fadeOutDuration = 0.05) {
-  if (!gainNode || !audioContext) return;
+/**
+ * Fades a note out and disconnects it.
+ * @param {GainNode} gainNode - Node returned by playNote
+ * @param {number} [fadeOutDuration] - Seconds; defaults to the region's ampeg_release
+ * @param {number} [when] - Time in the node's context seconds to start fading (default: now)
+ */
+function stopNote(gainNode, fadeOutDuration, when) {
+  if (!gainNode) return;
+  fadeOutDuration = fadeOutDuration ?? gainNode.releaseTime;
+
+  const context = gainNode.context;
+  const now = context.currentTime;
+  const stopTime = Math.max(when ?? now, now);
 
   try {
-    gainNode.gain.cancelScheduledValues(audioContext.currentTime);
-    gainNode.gain.setValueAtTime(gainNode.gain.value, audioContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(
-      0.001,
-      audioContext.currentTime + fadeOutDuration,
-    );
+    gainNode.gain.cancelScheduledValues(stopTime);
+    if (stopTime === now) {
+      gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, now + fadeOutDuration);
+    } else {
+      // The gain at a future time is unknown, so decay from whatever it is
+      gainNode.gain.setTargetAtTime(0, stopTime, fadeOutDuration / 5);
+    }
+
+    // Offline graphs are dropped as a whole once rendered
+    if (context === audioContext) {
+      const disconnectDelay = (stopTime - now + fadeOutDuration) * 1000 + 50;
+      setTimeout(() => {
+        gainNode.disconnect();
+      }, disconnectDelay);
+    }
 
-    const disconnectDelay = fadeOutDuration * 1000 + 50;
-    setTimeout(() => {
-      gainNode.disconnect();
-    }, disconnectDelay);
+    // Stop the sources too, so oscillators do not keep running
+    if (gainNode.sources) {
+      for (const source of gainNode.sources) {
+        source.stop(stopTime + fadeOutDuration);
+      }
+    }
   } catch (e) {
     // ignore cleanup errors on released nodes
   }
 }
 
+function getSustainGroup(group) {
+  if (!sustainGroups.has(group)) {
+    sustainGroups.set(group, { isOn: false, heldNodes: new Set() });
+  }
+  return sustainGroups.get(group);
+}
+
+/**
+ * Presses or lifts the sustain pedal of a group. Lifting it releases every
+ * note that was held by the pedal.
+ * @param {number} [when] - Time in audioContext seconds (default: now)
+ */
+function setSustain(group, isOn, when) {
+  const state = getSustainGroup(group);
+  state.isOn = isOn;
+  if (isOn) return;
+
+  for (const gainNode of state.heldNodes) {
+    stopNote(gainNode, undefined, when);
+  }
+  state.heldNodes.clear();
+}
+
+/**
+ * Releases a note like a lifted key: it fades out with its release time,
+ * unless the group's sustain pedal is down.
+ * @param {number} [when] - Time in audioContext seconds (default: now)
+ */
+function releaseNote(gainNode, group, when) {
+  if (!gainNode) return;
+
+  const state = getSustainGroup(group);
+  if (state.isOn) {
+    state.heldNodes.add(gainNode);
+    return;
+  }
+  stopNote(gainNode, undefined, when);
+}
+
+// --- SONG CLOCK ---
+function getSongTime() {
+  return (
+    songClock.anchorSongTime +
+    (audioContext.currentTime - songClock.anchorAudioTime) * songClock.rate
+  );
+}
+
+/**
+ * Moves the song clock to a song time; it keeps running from there.
+ */
+function setSongTime(songTime) {
+  songClock.anchorAudioTime = audioContext.currentTime;
+  songClock.anchorSongTime = songTime;
+}
+
+/**
+ * Changes how fast song time passes (1 = original tempo).
+ */
+function setSongRate(rate) {
+  setSongTime(getSongTime());
+  songClock.rate = rate;
+}
+
+function songTimeToAudioTime(songTime) {
+  return (
+    songClock.anchorAudioTime +
+    (songTime - songClock.anchorSongTime) / songClock.rate
+  );
+}
+
+// --- LOOK-AHEAD SCHEDULER ---
+function runScheduler() {
+  const horizon = getSongTime() + SCHEDULE_AHEAD_TIME * songClock.rate;
+
+  while (songEvents.length > 0 && songEvents[0].time <= horizon) {
+    const event = songEvents.shift();
+    const when = Math.max(
+      songTimeToAudioTime(event.time),
+      audioContext.currentTime,
+    );
+    event.callback(when);
+  }
+}
+
+/**
+ * Adds a callback to run at a song time. It is called shortly before that
+ * time with the exact audioContext time to schedule sounds at.
+ * Events at the same time run in the order they were added.
+ */
+function scheduleSongEvent(time, callback) {
+  let index = songEvents.length;
+  while (index > 0 && songEvents[index - 1].time > time) index--;
+  songEvents.splice(index, 0, { time, callback });
+}
+
+/**
+ * Schedules a whole note of the song: start, and release after duration.
+ * @param {number} time - Song time of the start (seconds)
+ * @param {number} duration - Song time until the release (seconds)
+ */
+function scheduleSongNote(note, velocity, instrumentId, time, duration) {
+  let gainNode = null;
+
+  scheduleSongEvent(time, (when) => {
+    gainNode = playNote(note, velocity, instrumentId, when);
+    if (gainNode) scheduledNodes.add(gainNode);
+  });
+  scheduleSongEvent(time + duration, (when) => {
+    if (!gainNode) return;
+    scheduledNodes.delete(gainNode);
+    releaseNote(gainNode, "song", when);
+  });
+}
+
+/**
+ * Schedules a press or lift of the song's sustain pedal.
+ */
+function scheduleSongSustain(time, isOn) {
+  scheduleSongEvent(time, (when) => setSustain("song", isOn, when));
+}
+
+/**
+ * Schedules a metronome click (see playClick).
+ */
+function scheduleSongClick(time, isAccent) {
+  scheduleSongEvent(time, (when) => playClick(isAccent, when));
+}
+
+function startScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runScheduler, SCHEDULER_INTERVAL);
+}
+
+/**
+ * Stops the scheduler, drops pending events and releases scheduled notes.
+ */
+function stopScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+  songEvents = [];
+
+  for (const gainNode of scheduledNodes) {
+    stopNote(gainNode);
+  }
+  scheduledNodes.clear();
+  setSustain("song", false);
+}
+
+// --- METRONOME ---
+const CLICK_DURATION = 0.05; // seconds
+
+/**
+ * Plays a short synthesized click, higher and louder when accented (the
+ * first beat of a measure).
+ */
+function playClick(isAccent, when = audioContext.currentTime) {
+  const oscillator = audioContext.createOscillator();
+  oscillator.type = "sine";
+  oscillator.frequency.value = isAccent ? 1760 : 1320;
+
+  const gainNode = audioContext.createGain();
+  gainNode.gain.setValueAtTime(isAccent ? 0.6 : 0.35, when);
+  gainNode.gain.exponentialRampToValueAtTime(0.001, when + CLICK_DURATION);
+
+  oscillator.connect(gainNode);
+  gainNode.connect(masterGainNode);
+  oscillator.start(when);
+  oscillator.stop(when + CLICK_DURATION);
+}
+
+// --- PREVIEW ---
+/**
+ * Plays a list of notes once, e.g. to audition a MIDI track before import.
+ * Any running preview is stopped first.
+ * @param {Object[]} notes - { id, time, duration, velocity } with time in
+ *   seconds from now
+ * @param {string} [instrumentId]
+ */
+function playPreview(notes, instrumentId = DEFAULT_INSTRUMENT_ID) {
+  stopPreview();
+  // A small offset so the first notes are not started late
+  const startTime = audioContext.currentTime + 0.05;
+
+  for (const note of notes) {
+    const when = startTime + note.time;
+    const gainNode = playNote(note.id, note.velocity, instrumentId, when);
+    if (!gainNode) continue;
+    previewNodes.add(gainNode);
+    stopNote(gainNode, undefined, when + note.duration);
+  }
+}
+
+function stopPreview() {
+  for (const gainNode of previewNodes) {
+    stopNote(gainNode, 0.05);
+  }
+  previewNodes.clear();
+}
+
+// --- OFFLINE RENDERING ---
+const RENDER_SAMPLE_RATE = 44100;
+// Time after the end of the song for the last notes to fade out
+const RENDER_TAIL = 2; // seconds
+
+/**
+ * Renders song tracks to audio as fast as possible, with the same voices and
+ * sustain pedal handling as live playback.
+ * @param {Object[]} tracks - { notes, pedal, instrumentId } with notes and
+ *   pedal changes as in song.js ({ id, time, duration, velocity } and
+ *   { time, isOn })
+ * @param {number} duration - Length of the song in seconds
+ * @param {number} [rate] - Playback rate (1 = original tempo)
+ * @returns {Promise<AudioBuffer>}
+ */
+function renderSongAudio(tracks, duration, rate = 1) {
+  const length = duration / rate + RENDER_TAIL;
+  const context = new OfflineAudioContext(
+    2,
+    Math.ceil(length * RENDER_SAMPLE_RATE),
+    RENDER_SAMPLE_RATE,
+  );
+  const destination = context.createGain();
+  destination.gain.value = masterGainNode.gain.value;
+  destination.connect(context.destination);
+
+  // Events in the order the live scheduler would run them
+  const events = [];
+  const addEvent = (songTime, callback) => {
+    events.push({ time: songTime / rate, callback });
+  };
+
+  tracks.forEach(({ notes, pedal, instrumentId }, i) => {
+    const group = `render-${i}`;
+    for (const note of notes) {
+      let gainNode = null;
+      addEvent(note.time, (when) => {
+        gainNode = startVoice(
+          context,
+          destination,
+          note.id,
+          note.velocity,
+          instrumentId,
+          when,
+        );
+      });
+      addEvent(note.time + Math.max(note.duration, 0.1), (when) =>
+        releaseNote(gainNode, group, when),
+      );
+    }
+    // After the notes, so a note released as the pedal goes down is not
+    // caught by it, as in live playback
+    for (const change of pedal) {
+      addEvent(change.time, (when) => setSustain(group, change.isOn, when));
+    }
+    addEvent(duration, (when) => setSustain(group, false, when));
+  });
+
+  // Array sorting is stable, so events at the same time keep their order
+  events.sort((a, b) => a.time - b.time);
+  for (const event of events) event.callback(event.time);
+
+  return context.startRendering();
+}
+
 export {
+  DEFAULT_INSTRUMENT_ID,
   initAudio,
-  cacheAllNoteSounds,
+  setAudioPaused,
+  registerInstrument,
+  hasInstrument,
+  getInstruments,
+  loadInstrument,
   playNote,
   stopNote,
+  setSustain,
+  releaseNote,
+  getSongTime,
+  setSongTime,
+  setSongRate,
+  scheduleSongNote,
+  scheduleSongSustain,
+  scheduleSongClick,
+  startScheduler,
+  stopScheduler,
+  playPreview,
+  stopPreview,
+  renderSongAudio,
   generateNoteRange,
   noteNameToMidi,
 };
@@ -1,83 +1,391 @@
 import { Midi } from "@tonejs/midi";
+import { DYNAMICS } from "./parser";
+
+// What an imported track is used for
+export const TRACK_ROLES = ["melody", "accompaniment", "ignore"];
+
+const SHARP_NOTE_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+/**
+ * Lists the tracks of a MIDI file for the import dialog.
+ * @tonejs/midi already splits tracks holding several channels or programs
+ * (e.g. type 0 files), so every entry is one track/channel pair.
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {Object[]} See readScoreTracks
+ */
+export function readMidiTracks(arrayBuffer) {
+  return readScoreTracks(new Midi(arrayBuffer));
+}
+
+/**
+ * Lists the tracks of a score for the import dialog.
+ * @param {Object} midi - A @tonejs/midi Midi, or an object of the same shape
+ *   (see musicxml.js)
+ * @returns {Object[]} { name, instrument, channel (1-16), isPercussion,
+ *   noteCount, lowestNote, highestNote, notes }; notes hold { midi, time,
+ *   duration, velocity } in seconds and MIDI velocity (1-127)
+ */
+export function readScoreTracks(midi) {
+  return midi.tracks.map((track) => {
+    const pitches = track.notes.map((note) => note.midi);
+
+    return {
+      name: track.name,
+      instrument: track.instrument.name,
+      channel: track.channel + 1,
+      isPercussion: track.instrument.percussion,
+      noteCount: track.notes.length,
+      lowestNote: pitches.length > 0 ? getNoteName(Math.min(...pitches)) : "",
+      highestNote: pitches.length > 0 ? getNoteName(Math.max(...pitches)) : "",
+      notes: track.notes.map((note) => ({
+        midi: note.midi,
+        time: note.time,
+        duration: note.duration,
+        velocity: Math.max(1, Math.round(note.velocity * 127)),
+      })),
+    };
+  });
+}
+
+/**
+ * Guesses the role of each track: the first track with notes is the melody
+ * and the largest of the others the accompaniment. Percussion and empty
+ * tracks are ignored.
+ * @param {Object[]} tracks - Output of readMidiTracks
+ * @returns {string[]} A TRACK_ROLES entry per track
+ */
+export function getDefaultTrackRoles(tracks) {
+  const roles = tracks.map(() => "ignore");
+  const candidates = tracks
+    .map((track, index) => ({ track, index }))
+    .filter(({ track }) => track.noteCount > 0 && !track.isPercussion);
+
+  if (candidates.length === 0) return roles;
+  roles[candidates[0].index] = "melody";
+
+  let bestIndex = -1;
+  let maxNotes = 0;
+  for (const { track, index } of candidates.slice(1)) {
+    if (track.noteCount > maxNotes) {
+      maxNotes = track.noteCount;
+      bestIndex = index;
+    }
+  }
+  if (bestIndex !== -1) roles[bestIndex] = "accompaniment";
+
+  return roles;
+}
 
 /**
  * Converts an ArrayBuffer (from a MIDI file) into a URL-friendly ABC string and BPM.
+ * Later tempo changes and the time signatures are returned in the format of
+ * parseTempoChanges and parseMeterChanges ("" when there are none).
  * @param {ArrayBuffer} arrayBuffer
  * @param {number} minMidi - Lowest MIDI note allowed (inclusive)
  * @param {number} maxMidi - Highest MIDI note allowed (inclusive)
- * @returns {Promise<{bpm: number, melody: string, accompaniment: string}>}
+ * @param {string[]} [trackRoles] - A TRACK_ROLES entry per track of
+ *   readMidiTracks; tracks sharing a role are merged. Guessed when omitted.
+ * @param {number|null} [splitMidi] - Split point for two-handed parts: melody
+ *   notes below it move to the accompaniment (left hand)
+ * @returns {Promise<{bpm: number, tempo: string, meter: string, melody: string, accompaniment: string}>}
  */
-export async function convertMidiToUrlData(arrayBuffer, minMidi, maxMidi) {
-  const midi = new Midi(arrayBuffer);
+export async function convertMidiToUrlData(
+  arrayBuffer,
+  minMidi,
+  maxMidi,
+  trackRoles = getDefaultTrackRoles(readMidiTracks(arrayBuffer)),
+  splitMidi = null,
+) {
+  return convertScoreToUrlData(
+    new Midi(arrayBuffer),
+    minMidi,
+    maxMidi,
+    trackRoles,
+    splitMidi,
+  );
+}
 
+/**
+ * Converts a score (see readScoreTracks) like convertMidiToUrlData.
+ * @param {number} [stepsPerUnit] - Durations are rounded to this fraction of
+ *   an eighth note; the default of 4 (32nd notes) evens out the timing of
+ *   played MIDI files
+ * @returns {{bpm: number, tempo: string, meter: string, melody: string, accompaniment: string}}
+ */
+export function convertScoreToUrlData(
+  midi,
+  minMidi,
+  maxMidi,
+  trackRoles,
+  splitMidi = null,
+  stepsPerUnit = 4,
+) {
   // Extract base BPM (Default to 120 if missing)
   const bpm = Math.round(midi.header.tempos[0]?.bpm || 120);
   const ppq = midi.header.ppq;
+  const tempo = formatTempoChanges(midi.header.tempos, ppq, bpm);
+  const meter = formatMeterChanges(midi.header.timeSignatures, ppq);
+
+  const getRoleTracks = (role) =>
+    midi.tracks.filter((track, i) => trackRoles[i] === role);
 
-  // Process First Track (Melody)
-  const melodyTrack = midi.tracks[0];
-  if (!melodyTrack) {
-    throw new Error("No tracks found in MIDI file.");
+  const melodyTracks = getRoleTracks("melody");
+  if (melodyTracks.length === 0) {
+    throw new Error("No melody track selected.");
   }
-  // isAccompaniment = false (Keep highest note)
-  const melody = convertTrackToAbc(melodyTrack, ppq, minMidi, maxMidi, false);
-
-  // Process Second Track (Accompaniment) if exists
-  let accompaniment = "";
-  if (midi.tracks.length > 1) {
-    // Find a suitable backing track (skip empty metadata tracks if any)
-    let bestTrack = null;
-    let maxNotes = 0;
-
-    for (let i = 1; i < midi.tracks.length; i++) {
-      if (midi.tracks[i].notes.length > maxNotes) {
-        maxNotes = midi.tracks[i].notes.length;
-        bestTrack = midi.tracks[i];
-      }
-    }
+  let melodyTrack = mergeTracks(melodyTracks);
 
-    if (bestTrack && bestTrack.notes.length > 0) {
-      // isAccompaniment = true (Keep lowest note)
-      accompaniment = convertTrackToAbc(bestTrack, ppq, minMidi, maxMidi, true);
+  const accompanimentTracks = getRoleTracks("accompaniment");
+  if (splitMidi !== null) {
+    const lowerPart = filterTrackNotes(melodyTrack, (n) => n.midi < splitMidi);
+    melodyTrack = filterTrackNotes(melodyTrack, (n) => n.midi >= splitMidi);
+    accompanimentTracks.push(lowerPart);
+  }
+
+  const melody = convertTrackToAbc(
+    melodyTrack,
+    ppq,
+    minMidi,
+    maxMidi,
+    stepsPerUnit,
+  );
+  const accompaniment =
+    accompanimentTracks.length > 0
+      ? convertTrackToAbc(
+          mergeTracks(accompanimentTracks),
+          ppq,
+          minMidi,
+          maxMidi,
+          stepsPerUnit,
+        )
+      : "";
+
+  return { bpm, tempo, meter, melody, accompaniment };
+}
+
+/**
+ * Builds a Standard MIDI File from a song of the app, with the song's tempo
+ * changes and time signatures, a melody track (channel 1) and, when the song
+ * has one, an accompaniment track (channel 2).
+ * @param {Object} song - Output of createSong (see song.js)
+ * @param {string} title - Stored as the name of the file
+ * @returns {Uint8Array} Contents of the .mid file
+ */
+export function convertSongToMidi(song, title) {
+  const midi = new Midi();
+  const ppq = midi.header.ppq;
+  const toTicks = (beat) => Math.round(beat * ppq);
+
+  midi.header.name = title;
+  midi.header.tempos = song.tempoMap.map((segment) => ({
+    ticks: toTicks(segment.beat),
+    bpm: segment.bpm,
+  }));
+  midi.header.timeSignatures = song.meters.map((meter) => ({
+    ticks: toTicks(meter.beat),
+    timeSignature: [meter.numerator, meter.denominator],
+  }));
+  midi.header.update();
+
+  const parts = [
+    { name: "Melody", notes: song.melody, pedal: song.pedal.melody },
+    {
+      name: "Accompaniment",
+      notes: song.accompaniment,
+      pedal: song.pedal.accompaniment,
+    },
+  ].filter((part, i) => i === 0 || part.notes.length > 0);
+
+  parts.forEach((part, channel) => {
+    const track = midi.addTrack();
+    track.name = part.name;
+    track.channel = channel;
+
+    for (const note of part.notes) {
+      track.addNote({
+        name: note.id,
+        ticks: toTicks(note.beat),
+        durationTicks: Math.max(toTicks(note.beats), 1),
+        // Songs without dynamics marks play at full velocity
+        velocity: (note.velocity ?? 127) / 127,
+      });
     }
+    for (const change of part.pedal) {
+      track.addCC({
+        number: 64,
+        ticks: toTicks(change.beat),
+        value: change.isOn ? 1 : 0,
+      });
+    }
+  });
+
+  return midi.toArray();
+}
+
+/**
+ * Builds a Standard MIDI File from a recorded performance.
+ * @param {Object} take - { notes, pedal, isSongTime } with notes
+ *   { id, time, duration, velocity } and pedal changes { time, isOn }, times
+ *   in seconds
+ * @param {Object|null} song - For takes timed by the song clock
+ *   (isSongTime), its tempo changes and time signatures are written so the
+ *   take lines up with the song's measures
+ * @param {string} title
+ * @returns {Uint8Array} Contents of the .mid file
+ */
+export function convertTakeToMidi(take, song, title) {
+  const midi = new Midi();
+  const ppq = midi.header.ppq;
+
+  midi.header.name = title;
+  if (take.isSongTime && song) {
+    midi.header.tempos = song.tempoMap.map((segment) => ({
+      ticks: Math.round(segment.beat * ppq),
+      bpm: segment.bpm,
+    }));
+    midi.header.timeSignatures = song.meters.map((meter) => ({
+      ticks: Math.round(meter.beat * ppq),
+      timeSignature: [meter.numerator, meter.denominator],
+    }));
+  } else {
+    midi.header.tempos = [{ ticks: 0, bpm: 120 }];
+  }
+  midi.header.update();
+
+  const track = midi.addTrack();
+  track.name = "Performance";
+  for (const note of take.notes) {
+    track.addNote({
+      name: note.id,
+      time: note.time,
+      duration: Math.max(note.duration, 0.01),
+      velocity: note.velocity / 127,
+    });
+  }
+  for (const change of take.pedal) {
+    track.addCC({ number: 64, time: change.time, value: change.isOn ? 1 : 0 });
   }
 
-  return { bpm, melody, accompaniment };
+  return midi.toArray();
 }
 
-function convertTrackToAbc(
-  track,
-  ppq,
-  minMidi,
-  maxMidi,
-  isAccompaniment = false,
-) {
-  // Sort notes by time.
-  // For chords (same ticks):
-  // - If Melody: Sort pitch Descending (b - a) to keep highest note.
-  // - If Accompaniment: Sort pitch Ascending (a - b) to keep lowest note.
-  track.notes.sort((a, b) => {
+/**
+ * Combines the notes and sustain pedal changes of several tracks into one
+ * track-like object for convertTrackToAbc.
+ */
+function mergeTracks(tracks) {
+  if (tracks.length === 1) return tracks[0];
+  return {
+    notes: tracks.flatMap((track) => track.notes),
+    controlChanges: {
+      64: tracks.flatMap((track) => track.controlChanges[64] || []),
+    },
+  };
+}
+
+/**
+ * Returns a track-like object with only the notes passing the filter.
+ * Both parts of a split keep the sustain pedal.
+ */
+function filterTrackNotes(track, filter) {
+  return {
+    notes: track.notes.filter(filter),
+    controlChanges: track.controlChanges,
+  };
+}
+
+function getNoteName(midi) {
+  const octave = Math.floor(midi / 12) - 1;
+  return `${SHARP_NOTE_NAMES[midi % 12]}${octave}`;
+}
+
+/**
+ * Rounds a tick position to quarter-note beats, quantized like the notes
+ * (to a 32nd note).
+ */
+function ticksToBeat(ticks, ppq) {
+  return Math.round((ticks / ppq) * 8) / 8;
+}
+
+/**
+ * Writes the tempo changes after the initial BPM as "beat:bpm,...".
+ */
+function formatTempoChanges(tempos, ppq, initialBpm) {
+  const entries = [];
+  let currentBpm = initialBpm;
+
+  [...tempos]
+    .sort((a, b) => a.ticks - b.ticks)
+    .forEach((tempo) => {
+      const bpm = Math.round(tempo.bpm);
+      // Skip repeats, which are common after rounding
+      if (bpm === currentBpm) return;
+      currentBpm = bpm;
+      entries.push(`${ticksToBeat(tempo.ticks, ppq)}:${bpm}`);
+    });
+
+  return entries.join(",");
+}
+
+/**
+ * Writes the time signatures as "beat:numerator/denominator,...".
+ */
+function formatMeterChanges(timeSignatures, ppq) {
+  const entries = [];
+  let current = null;
+
+  [...timeSignatures]
+    .sort((a, b) => a.ticks - b.ticks)
+    .forEach(({ ticks, timeSignature }) => {
+      const [numerator, denominator] = timeSignature;
+      const signature = `${numerator}/${denominator}`;
+      if (signature === current) return;
+      current = signature;
+      entries.push(`${ticksToBeat(ticks, ppq)}:${signature}`);
+    });
+
+  return entries.join(",");
+}
+
+function convertTrackToAbc(track, ppq, minMidi, maxMidi, stepsPerUnit) {
+  // Sort notes by time, then by pitch so chords are written bottom-up
+  const sortedNotes = [...track.notes].sort((a, b) => {
     if (a.ticks === b.ticks) {
-      return isAccompaniment ? a.midi - b.midi : b.midi - a.midi;
+      return a.midi - b.midi;
     }
     return a.ticks - b.ticks;
   });
 
   const events = [];
 
-  // Filter out chords (keep first note found based on sort order)
-  const uniqueNotes = [];
+  // Group notes starting at the same tick into chords
+  const chords = [];
   let lastTick = -1;
-  track.notes.forEach((note) => {
-    // Basic chord reduction: if start time is same as previous, skip
-    if (Math.abs(note.ticks - lastTick) < 1) return;
+  sortedNotes.forEach((note) => {
+    if (chords.length > 0 && Math.abs(note.ticks - lastTick) < 1) {
+      chords[chords.length - 1].push(note);
+      return;
+    }
     lastTick = note.ticks;
-    uniqueNotes.push(note);
+    chords.push([note]);
   });
 
   // Handle initial silence (Time 0 to first note)
-  if (uniqueNotes.length > 0) {
-    const startTick = uniqueNotes[0].ticks;
+  if (chords.length > 0) {
+    const startTick = chords[0][0].ticks;
     if (startTick > 0) {
       // Convert to musical time (approx 1 unit = 1/8th note)
       const initialDelay = (startTick / ppq) * 2;
@@ -85,25 +393,28 @@ function convertTrackToAbc(
       if (initialDelay > 0.01) {
         events.push({
           type: "rest",
+          ticks: 0,
           duration: initialDelay,
         });
       }
     }
   }
 
-  for (let i = 0; i < uniqueNotes.length; i++) {
-    const note = uniqueNotes[i];
-    const nextNote = uniqueNotes[i + 1];
+  for (let i = 0; i < chords.length; i++) {
+    const chord = chords[i];
+    const nextChord = chords[i + 1];
 
-    const currentStart = note.ticks;
+    // The longest note defines how long the chord sounds
+    const noteDurationTicks = Math.max(...chord.map((n) => n.durationTicks));
+
+    const currentStart = chord[0].ticks;
     // Calculate available time slot until the next event starts
-    // If last note, use its own duration
-    const nextStart = nextNote
-      ? nextNote.ticks
-      : currentStart + note.durationTicks;
+    // If last chord, use its own duration
+    const nextStart = nextChord
+      ? nextChord[0].ticks
+      : currentStart + noteDurationTicks;
 
     const timeUntilNext = nextStart - currentStart;
-    const noteDurationTicks = note.durationTicks;
 
     // Convert to musical time (approx 1 unit = 1/8th note)
     const timeSlot = (timeUntilNext / ppq) * 2;
@@ -112,6 +423,10 @@ function convertTrackToAbc(
     // Skip excessively small glitches
     if (timeSlot <= 0.01) continue;
 
+    const midiNotes = chord.map((n) => n.midi);
+    // @tonejs/midi velocities are normalized to 0..1
+    const velocity = Math.max(...chord.map((n) => n.velocity)) * 127;
+
     // Logic: Ensure strict timeline sync by forcing total duration = timeSlot.
     // If actual note is shorter than slot -> Note + Rest.
     // If actual note is longer than slot (overlap) -> Truncate Note to slot.
@@ -122,18 +437,23 @@ function convertTrackToAbc(
       // Staccato / Rest follows
       events.push({
         type: "note",
-        midi: note.midi,
+        ticks: currentStart,
+        midiNotes: midiNotes,
+        velocity: velocity,
         duration: actualDuration,
       });
       events.push({
         type: "rest",
+        ticks: currentStart + noteDurationTicks,
         duration: timeSlot - actualDuration,
       });
     } else {
       // Legato / Overlap -> Truncate to keep rhythm
       events.push({
         type: "note",
-        midi: note.midi,
+        ticks: currentStart,
+        midiNotes: midiNotes,
+        velocity: velocity,
         duration: timeSlot,
       });
     }
@@ -141,22 +461,55 @@ function convertTrackToAbc(
 
   // Generate ABC String
   let abcString = "";
-
-  events.forEach((event) => {
-    const durationString = formatAbcDuration(event.duration);
+  let currentDynamic = null;
+  // Pedal marks of skipped events move on to the next one
+  let pendingPedal = [];
+
+  const markedEvents = addPedalMarks(
+    events,
+    getPedalChanges(track),
+    ppq,
+    stepsPerUnit,
+  );
+  markedEvents.forEach((event) => {
+    pendingPedal.push(...(event.pedal || []));
+    const durationString = formatAbcDuration(event.duration, stepsPerUnit);
     if (!durationString && durationString !== "") return; // Skip if too small
 
+    for (const action of pendingPedal) {
+      abcString += action === "down" ? "!ped!" : "!ped-up!";
+    }
+    pendingPedal = [];
+
     if (event.type === "rest") {
       abcString += `z${durationString}`;
     } else {
-      let currentMidi = event.midi;
+      // Only write a dynamics mark when the level changes
+      const dynamic = getNearestDynamic(event.velocity);
+      if (dynamic !== currentDynamic) {
+        abcString += `!${dynamic}!`;
+        currentDynamic = dynamic;
+      }
+
+      const noteStrings = [];
+      event.midiNotes.forEach((midiNote) => {
+        let currentMidi = midiNote;
 
-      // Shift octave to fit range
-      while (currentMidi < minMidi) currentMidi += 12;
-      while (currentMidi > maxMidi) currentMidi -= 12;
+        // Shift octave to fit range
+        while (currentMidi < minMidi) currentMidi += 12;
+        while (currentMidi > maxMidi) currentMidi -= 12;
+
+        // Octave shifting can fold chord notes onto each other
+        const noteString = getABCNoteName(currentMidi);
+        if (!noteStrings.includes(noteString)) noteStrings.push(noteString);
+      });
 
-      const noteString = getABCNoteName(currentMidi);
-      abcString += `${noteString}${durationString}`;
+      if (noteStrings.length === 1) {
+        abcString += `${noteStrings[0]}${durationString}`;
+      } else {
+        // Use '(' and ')' for chords in URL (replaced back to [ ] in parser)
+        abcString += `(${noteStrings.join("")})${durationString}`;
+      }
     }
   });
 
@@ -164,30 +517,127 @@ function convertTrackToAbc(
 }
 
 /**
- * Formats a numeric duration into an ABC notation string (integer or fraction).
- * Assumes 1 unit = 1/8th note approx. Quantizes to nearest 1/4 unit (1/32nd).
+ * Lists the sustain pedal (CC64) presses and lifts of a track.
+ * @returns {Object[]} Changes { ticks, action: "down" | "up" }, sorted by ticks
  */
-function formatAbcDuration(duration) {
-  // Quantize to nearest 0.25
-  const steps = Math.round(duration * 4);
+function getPedalChanges(track) {
+  const changes = [];
+  const pedalEvents = [...(track.controlChanges[64] || [])].sort(
+    (a, b) => a.ticks - b.ticks,
+  );
+
+  let isDown = false;
+  pedalEvents.forEach((event) => {
+    // @tonejs/midi normalizes values to 0..1; 64 and above means down
+    const isEventDown = event.value >= 0.5;
+    if (isEventDown === isDown) return;
+    isDown = isEventDown;
+    changes.push({ ticks: event.ticks, action: isDown ? "down" : "up" });
+  });
 
-  if (steps <= 0) return null;
-  if (steps === 4) return ""; // 1.0 (Unit length)
+  return changes;
+}
 
-  // Integer case
-  if (steps % 4 === 0) {
-    return (steps / 4).toString();
-  }
+/**
+ * Puts the pedal changes on the events (as pedal: ["down" | "up", ...]) at
+ * their position, rounded to the duration steps. Pedal marks are written
+ * before an event, so a rest is split where a change falls inside it, and a
+ * change while a note sounds goes to the nearer of the note's start and end.
+ * Changes that end up after the last event are left out.
+ * @param {Object[]} events - Notes and rests with their start in ticks
+ * @returns {Object[]} The events, with rests split at the changes
+ */
+function addPedalMarks(events, changes, ppq, stepsPerUnit) {
+  const result = [];
+  let changeIndex = 0;
+  // Marks at the end of an event, which belong to the next one
+  let carried = [];
+
+  events.forEach((event) => {
+    const end = event.ticks + (event.duration * ppq) / 2;
+    // Offsets from the event start, in units rounded to the duration steps
+    const offsets = [];
+    while (changeIndex < changes.length && changes[changeIndex].ticks < end) {
+      const change = changes[changeIndex];
+      const steps = Math.round(
+        ((change.ticks - event.ticks) / ppq) * 2 * stepsPerUnit,
+      );
+      offsets.push({
+        offset: Math.max(steps, 0) / stepsPerUnit,
+        action: change.action,
+      });
+      changeIndex++;
+    }
+
+    if (event.type === "note") {
+      const pedal = carried;
+      carried = [];
+      for (const { offset, action } of offsets) {
+        if (offset <= event.duration / 2) pedal.push(action);
+        else carried.push(action);
+      }
+      result.push(pedal.length > 0 ? { ...event, pedal } : event);
+      return;
+    }
+
+    let pieceStart = 0;
+    let pedal = carried;
+    carried = [];
+    for (const { offset, action } of offsets) {
+      if (offset <= pieceStart) {
+        pedal.push(action);
+      } else if (offset >= event.duration) {
+        carried.push(action);
+      } else {
+        result.push({ type: "rest", duration: offset - pieceStart, pedal });
+        pieceStart = offset;
+        pedal = [action];
+      }
+    }
+    result.push({ type: "rest", duration: event.duration - pieceStart, pedal });
+  });
+
+  return result;
+}
 
-  // Half case (x.5) -> n/2
-  if (steps % 2 === 0) {
-    const num = steps / 2;
-    return num === 1 ? "~" : `${num}~2`;
+/**
+ * Finds the dynamics mark whose velocity is closest to the given one.
+ */
+function getNearestDynamic(velocity) {
+  let nearest = null;
+  let minDistance = Infinity;
+  for (const [dynamic, dynamicVelocity] of Object.entries(DYNAMICS)) {
+    const distance = Math.abs(dynamicVelocity - velocity);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = dynamic;
+    }
   }
+  return nearest;
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+/**
+ * Formats a numeric duration into an ABC notation string (integer or fraction).
+ * Assumes 1 unit = 1/8th note approx. Quantizes to the nearest
+ * 1/stepsPerUnit unit (by default 1/4, a 32nd note).
+ */
+function formatAbcDuration(duration, stepsPerUnit = 4) {
+  const steps = Math.round(duration * stepsPerUnit);
+  if (steps <= 0) return null;
+
+  const divisor = greatestCommonDivisor(steps, stepsPerUnit);
+  const num = steps / divisor;
+  const den = stepsPerUnit / divisor;
 
-  // Quarter case (x.25, x.75) -> n/4
-  const num = steps;
-  return num === 1 ? "~4" : `${num}~4`;
+  // Whole units: "" (1.0, the unit length) or n
+  if (den === 1) return num === 1 ? "" : num.toString();
+  // Fractions: n/d, with "~" alone for 1/2
+  if (num === 1) return den === 2 ? "~" : `~${den}`;
+  return `${num}~${den}`;
 }
 
 function getABCNoteName(midi) {
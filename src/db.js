@@ -0,0 +1,64 @@
+/**
+ * Minimal promise-based IndexedDB helpers for the app's local storage.
+ * Every object store is keyed by its "id" property.
+ */
+const DB_NAME = "rhythmpiano";
+const DB_VERSION = 3;
+
+// Object stores, created on upgrade when missing
+const STORES = ["instruments", "songs", "history"];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const store of STORES) {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store, { keyPath: "id" });
+        }
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow retrying after a failure (e.g. private browsing restrictions)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function runRequest(storeName, mode, createRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function getRecord(storeName, id) {
+  return runRequest(storeName, "readonly", (store) => store.get(id));
+}
+
+function getAllRecords(storeName) {
+  return runRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+function putRecord(storeName, record) {
+  return runRequest(storeName, "readwrite", (store) => store.put(record));
+}
+
+function deleteRecord(storeName, id) {
+  return runRequest(storeName, "readwrite", (store) => store.delete(id));
+}
+
+export { getRecord, getAllRecords, putRecord, deleteRecord };
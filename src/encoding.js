@@ -0,0 +1,326 @@
+/**
+ * Compact song encoding for share links (the "s" URL parameter).
+ *
+ * Layout (version 1), before deflate and base64url:
+ *   version byte, bpm, tempo and meter strings, duration steps per unit,
+ *   then the melody and the accompaniment as: event count, then per event
+ *     flags: bit 0 dynamics change, bit 1 pedal marks, bits 2+ note count
+ *     [dynamics index] [pedal mark count, one byte per mark (1 = down)]
+ *     duration delta (zigzag) from the previous event, in duration steps
+ *     lowest pitch delta (zigzag) from the previous event's lowest pitch,
+ *     then each further chord pitch as the distance to the one below it
+ * Numbers are unsigned LEB128 varints.
+ */
+import { deflateSync, inflateSync, strToU8, strFromU8 } from "fflate";
+import { parseABC, getCanonicalABC, DYNAMICS } from "./parser";
+
+const FORMAT_VERSION = 1;
+
+// Durations are stored in steps per parser unit (an eighth note). The steps
+// of a song are the least common multiple of the denominators of its
+// durations, which are searched up to MAX_DENOMINATOR
+const MAX_DENOMINATOR = 1000;
+const MAX_DURATION_STEPS = 1000000;
+
+const DYNAMIC_NAMES = Object.keys(DYNAMICS);
+const SHARP_NOTE_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+function noteIdToMidi(id) {
+  const match = id.match(/^([A-G]#?)(-?\d+)$/);
+  return (parseInt(match[2], 10) + 1) * 12 + SHARP_NOTE_NAMES.indexOf(match[1]);
+}
+
+/**
+ * Writes a pitch in the URL-friendly ABC of the app ("." and "-" for the
+ * octave marks).
+ */
+function midiToAbc(midi) {
+  const name = SHARP_NOTE_NAMES[midi % 12];
+  const octave = Math.floor(midi / 12) - 1;
+  const accidental = name.length > 1 ? "^" : "";
+
+  if (octave >= 5) {
+    return `${accidental}${name[0].toLowerCase()}${"-".repeat(octave - 5)}`;
+  }
+  return `${accidental}${name[0]}${".".repeat(4 - octave)}`;
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+// Duration suffix for a length in steps ("~" is the URL-friendly "/")
+function formatDuration(steps, stepsPerUnit) {
+  const divisor = greatestCommonDivisor(steps, stepsPerUnit);
+  const numerator = steps / divisor;
+  const denominator = stepsPerUnit / divisor;
+
+  if (denominator === 1) return numerator === 1 ? "" : `${numerator}`;
+  return `${numerator === 1 ? "" : numerator}~${denominator}`;
+}
+
+const toZigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+const fromZigzag = (value) => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+function createWriter() {
+  const bytes = [];
+  const writeVarint = (value) => {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Cannot store ${value} as a varint.`);
+    }
+    while (value >= 0x80) {
+      bytes.push((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+  };
+  return {
+    bytes,
+    writeVarint,
+    writeString: (text) => {
+      const encoded = strToU8(text);
+      writeVarint(encoded.length);
+      bytes.push(...encoded);
+    },
+  };
+}
+
+function createReader(bytes) {
+  let position = 0;
+  const readByte = () => {
+    if (position >= bytes.length) throw new Error("Song data is truncated.");
+    return bytes[position++];
+  };
+  const readVarint = () => {
+    let value = 0;
+    let factor = 1;
+    let byte;
+    do {
+      byte = readByte();
+      value += (byte & 0x7f) * factor;
+      factor *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  };
+  return {
+    readByte,
+    readVarint,
+    readString: () => {
+      const length = readVarint();
+      const start = position;
+      position += length;
+      if (position > bytes.length) throw new Error("Song data is truncated.");
+      return strFromU8(bytes.subarray(start, position));
+    },
+  };
+}
+
+/**
+ * Finds the smallest number of duration steps per unit that stores every
+ * duration of the events exactly.
+ * @throws {Error} When a duration is not a fraction the format can store
+ */
+function getDurationSteps(events) {
+  let steps = 1;
+  for (const { duration } of events) {
+    // e.g. "C~0" or "C0"
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error(`Duration ${duration} cannot be stored.`);
+    }
+    let denominator = 1;
+    while (
+      Math.abs(duration * denominator - Math.round(duration * denominator)) >
+      1e-6
+    ) {
+      denominator++;
+      if (denominator > MAX_DENOMINATOR) {
+        throw new Error(`Duration ${duration} cannot be stored exactly.`);
+      }
+    }
+    steps = (steps * denominator) / greatestCommonDivisor(steps, denominator);
+    if (steps > MAX_DURATION_STEPS) {
+      throw new Error("Song durations cannot be stored exactly.");
+    }
+  }
+  return steps;
+}
+
+function writeTrack(writer, events, stepsPerUnit) {
+  writer.writeVarint(events.length);
+
+  let velocity;
+  let duration = 0;
+  let pitch = 60;
+
+  for (const event of events) {
+    const pitches = event.ids.map(noteIdToMidi).sort((a, b) => a - b);
+    const hasDynamics =
+      event.velocity !== undefined && event.velocity !== velocity;
+    const pedal = event.pedal || [];
+
+    writer.writeVarint(
+      (hasDynamics ? 1 : 0) |
+        (pedal.length > 0 ? 2 : 0) |
+        (pitches.length << 2),
+    );
+    if (hasDynamics) {
+      velocity = event.velocity;
+      writer.writeVarint(Object.values(DYNAMICS).indexOf(velocity));
+    }
+    if (pedal.length > 0) {
+      writer.writeVarint(pedal.length);
+      for (const action of pedal) writer.writeVarint(action === "down" ? 1 : 0);
+    }
+
+    const steps = Math.round(event.duration * stepsPerUnit);
+    writer.writeVarint(toZigzag(steps - duration));
+    duration = steps;
+
+    pitches.forEach((midi, i) => {
+      if (i === 0) {
+        writer.writeVarint(toZigzag(midi - pitch));
+        pitch = midi;
+      } else {
+        writer.writeVarint(midi - pitches[i - 1]);
+      }
+    });
+  }
+}
+
+function readTrack(reader, stepsPerUnit) {
+  const count = reader.readVarint();
+  let abc = "";
+  let duration = 0;
+  let pitch = 60;
+
+  for (let n = 0; n < count; n++) {
+    const flags = reader.readVarint();
+    const noteCount = flags >> 2;
+
+    if (flags & 1) {
+      const dynamic = DYNAMIC_NAMES[reader.readVarint()];
+      if (!dynamic) throw new Error("Unknown dynamics mark.");
+      abc += `!${dynamic}!`;
+    }
+    if (flags & 2) {
+      const markCount = reader.readVarint();
+      for (let i = 0; i < markCount; i++) {
+        abc += reader.readVarint() === 1 ? "!ped!" : "!ped-up!";
+      }
+    }
+
+    duration += fromZigzag(reader.readVarint());
+    const pitches = [];
+    for (let i = 0; i < noteCount; i++) {
+      if (i === 0) {
+        pitch += fromZigzag(reader.readVarint());
+        pitches.push(pitch);
+      } else {
+        pitches.push(pitches[i - 1] + reader.readVarint());
+      }
+    }
+
+    const durationString = formatDuration(duration, stepsPerUnit);
+    if (pitches.length === 0) {
+      abc += `z${durationString}`;
+    } else if (pitches.length === 1) {
+      abc += `${midiToAbc(pitches[0])}${durationString}`;
+    } else {
+      abc += `(${pitches.map(midiToAbc).join("")})${durationString}`;
+    }
+  }
+
+  return abc;
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Encodes a song for the "s" URL parameter.
+ * @param {Object} song - { bpm, tempo, meter, melody, accompaniment } as in the
+ *   plain URL parameters (melody and accompaniment in ABC)
+ * @returns {string} base64url text
+ * @throws {Error} When the song would not decode to the same notes; the plain
+ *   parameters have to be shared instead
+ */
+export function encodeSong({ bpm, tempo, meter, melody, accompaniment }) {
+  const tracks = [melody || "", accompaniment || ""];
+  const trackEvents = tracks.map(parseABC);
+  const stepsPerUnit = getDurationSteps(trackEvents.flat());
+
+  const writer = createWriter();
+  writer.writeVarint(FORMAT_VERSION);
+  writer.writeVarint(parseInt(bpm) || 0);
+  writer.writeString(tempo || "");
+  writer.writeString(meter || "");
+  writer.writeVarint(stepsPerUnit);
+  for (const events of trackEvents) writeTrack(writer, events, stepsPerUnit);
+
+  const text = toBase64Url(
+    deflateSync(new Uint8Array(writer.bytes), { level: 9 }),
+  );
+
+  // Links must play exactly the song that was shared
+  const decoded = decodeSong(text);
+  const isExact = [decoded.melody, decoded.accompaniment].every(
+    (abc, i) => getCanonicalABC(abc) === getCanonicalABC(tracks[i]),
+  );
+  if (!isExact) throw new Error("Song cannot be encoded exactly.");
+
+  return text;
+}
+
+/**
+ * Decodes the "s" URL parameter.
+ * @returns {Object} { bpm, tempo, meter, melody, accompaniment } as strings, in
+ *   the form of the plain URL parameters ("" when not set)
+ * @throws {Error} When the text is not a song of a known version
+ */
+export function decodeSong(text) {
+  const reader = createReader(inflateSync(fromBase64Url(text)));
+  const version = reader.readVarint();
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported song encoding version ${version}.`);
+  }
+
+  const bpm = reader.readVarint();
+  const tempo = reader.readString();
+  const meter = reader.readString();
+  const stepsPerUnit = reader.readVarint();
+  if (stepsPerUnit === 0) throw new Error("Song data is invalid.");
+
+  return {
+    bpm: bpm > 0 ? String(bpm) : "",
+    tempo,
+    meter,
+    melody: readTrack(reader, stepsPerUnit),
+    accompaniment: readTrack(reader, stepsPerUnit),
+  };
+}
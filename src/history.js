@@ -0,0 +1,67 @@
+import { getAllRecords, putRecord } from "./db";
+
+const STORE_NAME = "history";
+
+/**
+ * Saves a completed run of a song.
+ * @param {Object} run - { songId, playedAt, tempoPercent, isWaitMode, hands,
+ *   accuracy, score, maxCombo, misses, missesByMeasure } where
+ *   missesByMeasure maps measure indexes to miss counts
+ */
+export async function savePracticeRun(run) {
+  try {
+    await putRecord(STORE_NAME, {
+      id: `${run.songId}-${run.playedAt}`,
+      ...run,
+    });
+  } catch (e) {
+    console.warn("Failed to save the practice run.", e);
+  }
+}
+
+/**
+ * Returns the saved runs of a song, oldest first.
+ */
+export async function getPracticeRuns(songId) {
+  try {
+    const runs = await getAllRecords(STORE_NAME);
+    return runs
+      .filter((run) => run.songId === songId)
+      .sort((a, b) => a.playedAt - b.playedAt);
+  } catch (e) {
+    console.warn("Failed to read the practice history.", e);
+    return [];
+  }
+}
+
+/**
+ * Finds the run with the best accuracy (the higher score on a tie).
+ * @returns {Object|null}
+ */
+export function getBestRun(runs) {
+  return runs.reduce(
+    (best, run) =>
+      !best ||
+      run.accuracy > best.accuracy ||
+      (run.accuracy === best.accuracy && run.score > best.score)
+        ? run
+        : best,
+    null,
+  );
+}
+
+/**
+ * Adds up the misses per measure over some runs.
+ * @returns {Object[]} { measure, misses } with the most missed measure first
+ */
+export function getMostMissedMeasures(runs) {
+  const totals = new Map();
+  for (const run of runs) {
+    for (const [measure, misses] of Object.entries(run.missesByMeasure)) {
+      totals.set(Number(measure), (totals.get(Number(measure)) || 0) + misses);
+    }
+  }
+  return [...totals]
+    .map(([measure, misses]) => ({ measure, misses }))
+    .sort((a, b) => b.misses - a.misses || a.measure - b.measure);
+}
@@ -0,0 +1,93 @@
+import { unzip } from "fflate";
+import { parseSfz, normalizeSamplePath } from "./sfz";
+import { getAllRecords, putRecord } from "./db";
+
+const STORE_NAME = "instruments";
+
+async function readZipEntries(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const data = await new Promise((resolve, reject) => {
+    unzip(bytes, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+
+  return (
+    Object.entries(data)
+      // Skip folders and macOS resource forks
+      .filter(([path]) => !path.endsWith("/") && !path.includes("__MACOSX"))
+      .map(([path, content]) => ({ path: path, blob: new Blob([content]) }))
+  );
+}
+
+/**
+ * Reads a user-supplied SFZ sample pack and saves it in IndexedDB.
+ * @param {File[]} files - A single .zip file, or the files of a picked folder
+ * @returns {Promise<Object>} Instrument record { id, name, type, sfzText, files }
+ *   where files maps normalized sample paths (see normalizeSamplePath) to Blobs
+ */
+export async function importSamplePack(files) {
+  const entries =
+    files.length === 1 && /\.zip$/i.test(files[0].name)
+      ? await readZipEntries(files[0])
+      : files.map((file) => ({
+          path: file.webkitRelativePath || file.name,
+          blob: file,
+        }));
+
+  const sfzEntry = entries.find((entry) => /\.sfz$/i.test(entry.path));
+  if (!sfzEntry) {
+    throw new Error("No .sfz file found in the sample pack.");
+  }
+
+  const sfzText = await sfzEntry.blob.text();
+  const sfzFolder = sfzEntry.path.substring(
+    0,
+    sfzEntry.path.lastIndexOf("/") + 1,
+  );
+  const entryMap = new Map(
+    entries.map((entry) => [normalizeSamplePath(entry.path), entry.blob]),
+  );
+
+  // Keep only the samples the SFZ file refers to
+  const sampleFiles = {};
+  for (const region of parseSfz(sfzText)) {
+    const blob = entryMap.get(normalizeSamplePath(sfzFolder + region.sample));
+    if (blob) {
+      sampleFiles[normalizeSamplePath(region.sample)] = blob;
+    } else {
+      console.warn(`Sample missing from pack: ${region.sample}`);
+    }
+  }
+
+  if (Object.keys(sampleFiles).length === 0) {
+    throw new Error("No samples of the SFZ file found in the sample pack.");
+  }
+
+  const fileName = sfzEntry.path.substring(sfzEntry.path.lastIndexOf("/") + 1);
+  const record = {
+    id: `custom-${Date.now()}`,
+    name: fileName.replace(/\.sfz$/i, ""),
+    type: "sfz",
+    sfzText: sfzText,
+    files: sampleFiles,
+  };
+
+  try {
+    await putRecord(STORE_NAME, record);
+  } catch (e) {
+    // Still usable for this session
+    console.warn("Failed to save the sample pack.", e);
+  }
+  return record;
+}
+
+/**
+ * Returns the sample packs saved by importSamplePack.
+ */
+export async function getSavedInstruments() {
+  try {
+    return await getAllRecords(STORE_NAME);
+  } catch (e) {
+    console.warn("Failed to read saved instruments.", e);
+    return [];
+  }
+}
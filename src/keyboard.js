@@ -0,0 +1,174 @@
+/**
+ * Default QWERTY-to-piano mapping.
+ * whiteKeys: one character per white key, starting at C.
+ * blackKeys: the black key following the white key at the same position
+ *            (a space means there is no black key, e.g. between E and F).
+ * Characters name physical keys as printed on a US QWERTY keyboard; keys are
+ * matched by position (KeyboardEvent.code), so Shift, Caps Lock and other
+ * layouts (e.g. AZERTY) play the same notes.
+ */
+const DEFAULT_KEY_MAP = {
+  whiteKeys: "asdfghjkl;'",
+  blackKeys: "we tyu op ",
+  octaveDown: "z",
+  octaveUp: "x",
+  sustain: " ",
+};
+
+// Semitone offsets of the white keys within an octave (C D E F G A B)
+const WHITE_KEY_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+// KeyboardEvent.code of the punctuation keys, by their US QWERTY character
+const PUNCTUATION_CODES = {
+  " ": "Space",
+  ";": "Semicolon",
+  "'": "Quote",
+  ",": "Comma",
+  ".": "Period",
+  "/": "Slash",
+  "[": "BracketLeft",
+  "]": "BracketRight",
+  "\\": "Backslash",
+  "-": "Minus",
+  "=": "Equal",
+  "`": "Backquote",
+};
+
+/**
+ * Returns the KeyboardEvent.code of the key printed with a character on a
+ * US QWERTY keyboard (e.g. "a" -> "KeyA"), or null for other characters.
+ */
+function getKeyCode(char) {
+  if (/^[a-z]$/i.test(char)) return `Key${char.toUpperCase()}`;
+  if (/^[0-9]$/.test(char)) return `Digit${char}`;
+  return PUNCTUATION_CODES[char] || null;
+}
+
+/**
+ * Checks a mapping in the format of DEFAULT_KEY_MAP: every character must be
+ * a known key, and no key may be used twice.
+ * @returns {string|null} What is wrong, or null when the mapping is valid
+ */
+function validateKeyMap(keyMap) {
+  const chars = [
+    ...keyMap.whiteKeys,
+    ...keyMap.blackKeys.replace(/ /g, ""),
+    keyMap.octaveDown,
+    keyMap.octaveUp,
+    keyMap.sustain,
+  ];
+  for (const char of chars) {
+    if (typeof char !== "string" || char.length !== 1 || !getKeyCode(char)) {
+      return `"${char}" is not a key that can be used.`;
+    }
+  }
+  const duplicate = chars.find((char, i) => chars.indexOf(char) !== i);
+  if (duplicate) return `"${duplicate}" is used twice.`;
+  return null;
+}
+
+/**
+ * Builds a lookup of key code -> semitone offset from the base C.
+ */
+function buildSemitoneMap(keyMap) {
+  const semitoneMap = new Map();
+
+  [...keyMap.whiteKeys].forEach((char, i) => {
+    const semitone =
+      Math.floor(i / 7) * 12 +
+      WHITE_KEY_SEMITONES[i % WHITE_KEY_SEMITONES.length];
+    semitoneMap.set(getKeyCode(char), semitone);
+
+    const blackChar = keyMap.blackKeys.charAt(i);
+    if (blackChar && blackChar !== " ") {
+      semitoneMap.set(getKeyCode(blackChar), semitone + 1);
+    }
+  });
+
+  return semitoneMap;
+}
+
+/**
+ * Listens to the computer keyboard and plays the piano with it.
+ * @param {Object} callbacks - { getBaseIndex(), onPress(index), onRelease(index),
+ *   onSustainChange(isOn) }
+ *   getBaseIndex returns the piano key index of the C the mapping starts at.
+ * @param {Object} keyMap - Mapping in the format of DEFAULT_KEY_MAP
+ * @returns {Object} { setKeyMap(keyMap) } to change the mapping later
+ */
+function initKeyboardInput(callbacks, keyMap = DEFAULT_KEY_MAP) {
+  let codes;
+  let semitoneMap;
+  const setKeyMap = (newKeyMap) => {
+    codes = {
+      octaveDown: getKeyCode(newKeyMap.octaveDown),
+      octaveUp: getKeyCode(newKeyMap.octaveUp),
+      sustain: getKeyCode(newKeyMap.sustain),
+    };
+    semitoneMap = buildSemitoneMap(newKeyMap);
+  };
+  setKeyMap(keyMap);
+
+  // Key code -> piano key index it pressed, so a release always
+  // matches its press even if the base note or the mapping changed
+  const heldKeys = new Map();
+  let octaveOffset = 0;
+  // Whether the sustain key holds the pedal; the MIDI keyboard's pedal and
+  // the on-screen button are left alone
+  let isSustainHeld = false;
+
+  window.addEventListener("keydown", (e) => {
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    const code = e.code;
+
+    if (code === codes.octaveDown) {
+      octaveOffset--;
+      return;
+    }
+    if (code === codes.octaveUp) {
+      octaveOffset++;
+      return;
+    }
+    if (code === codes.sustain) {
+      e.preventDefault();
+      isSustainHeld = true;
+      callbacks.onSustainChange(true);
+      return;
+    }
+
+    if (!semitoneMap.has(code) || heldKeys.has(code)) return;
+    e.preventDefault();
+
+    const index =
+      callbacks.getBaseIndex() + octaveOffset * 12 + semitoneMap.get(code);
+    heldKeys.set(code, index);
+    callbacks.onPress(index);
+  });
+
+  window.addEventListener("keyup", (e) => {
+    const code = e.code;
+    if (code === codes.sustain) {
+      if (isSustainHeld) callbacks.onSustainChange(false);
+      isSustainHeld = false;
+      return;
+    }
+    if (!heldKeys.has(code)) return;
+
+    callbacks.onRelease(heldKeys.get(code));
+    heldKeys.delete(code);
+  });
+
+  // Release everything when the window loses focus (keyup is never sent)
+  window.addEventListener("blur", () => {
+    for (const index of heldKeys.values()) {
+      callbacks.onRelease(index);
+    }
+    heldKeys.clear();
+    if (isSustainHeld) callbacks.onSustainChange(false);
+    isSustainHeld = false;
+  });
+
+  return { setKeyMap };
+}
+
+export { DEFAULT_KEY_MAP, validateKeyMap, initKeyboardInput };
@@ -0,0 +1,75 @@
+import { getRecord, getAllRecords, putRecord, deleteRecord } from "./db";
+import { getCanonicalABC } from "./parser";
+
+const STORE_NAME = "songs";
+
+/**
+ * Short id of a song from its notes, so a song opened from different links
+ * (plain or "s" parameter, or under another title) is kept once.
+ */
+export function getSongId(melody, accompaniment) {
+  const text = `${getCanonicalABC(melody)}|${getCanonicalABC(accompaniment)}`;
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Adds an opened song to the library, or refreshes its stored notes.
+ * A title changed in the library and the favorite mark are kept.
+ * @param {Object} song - { id, title, params, bpm, duration } where params are
+ *   the URL parameters of the song and duration is in seconds
+ */
+export async function saveLibrarySong({ id, title, params, bpm, duration }) {
+  try {
+    const existing = await getRecord(STORE_NAME, id);
+    await putRecord(STORE_NAME, {
+      id,
+      title: existing ? existing.title : title,
+      params,
+      bpm,
+      duration,
+      isFavorite: existing ? existing.isFavorite : false,
+      addedAt: existing ? existing.addedAt : Date.now(),
+      lastPlayedAt: existing ? existing.lastPlayedAt : null,
+    });
+  } catch (e) {
+    console.warn("Failed to save the song to the library.", e);
+  }
+}
+
+/**
+ * Returns the songs of the library (see saveLibrarySong).
+ * @returns {Promise<Object[]>} Records { id, title, params, bpm, duration,
+ *   isFavorite, addedAt, lastPlayedAt } with dates as timestamps
+ */
+export async function getLibrarySongs() {
+  try {
+    return await getAllRecords(STORE_NAME);
+  } catch (e) {
+    console.warn("Failed to read the song library.", e);
+    return [];
+  }
+}
+
+/**
+ * Changes fields of a library song (title, isFavorite, lastPlayedAt).
+ */
+export async function updateLibrarySong(id, changes) {
+  try {
+    const record = await getRecord(STORE_NAME, id);
+    if (record) await putRecord(STORE_NAME, { ...record, ...changes });
+  } catch (e) {
+    console.warn("Failed to update the song library.", e);
+  }
+}
+
+export async function deleteLibrarySong(id) {
+  try {
+    await deleteRecord(STORE_NAME, id);
+  } catch (e) {
+    console.warn("Failed to delete the song from the library.", e);
+  }
+}
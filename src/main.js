@@ -1,15 +1,66 @@
 import "./style.css";
 import * as PIXI from "pixi.js";
-import { parseABC } from "./parser";
-import { convertMidiToUrlData } from "./converter";
+import { parseABC, parseTempoChanges, parseMeterChanges } from "./parser";
 import {
+  TRACK_ROLES,
+  readMidiTracks,
+  readScoreTracks,
+  getDefaultTrackRoles,
+  convertMidiToUrlData,
+  convertSongToMidi,
+  convertTakeToMidi,
+} from "./converter";
+import { createSong, getMeasureIndex, getCountInClicks } from "./song";
+import {
+  DEFAULT_INSTRUMENT_ID,
   initAudio,
-  cacheAllNoteSounds,
+  setAudioPaused,
+  registerInstrument,
+  hasInstrument,
+  getInstruments,
+  loadInstrument,
   playNote,
   stopNote,
+  setSustain,
+  releaseNote,
+  getSongTime,
+  setSongTime,
+  setSongRate,
+  scheduleSongNote,
+  scheduleSongSustain,
+  scheduleSongClick,
+  startScheduler,
+  stopScheduler,
+  playPreview,
+  stopPreview,
+  renderSongAudio,
   generateNoteRange,
   noteNameToMidi,
 } from "./audio";
+import { enableMidiInput, disableMidiInput, isMidiSupported } from "./midi";
+import { DEFAULT_KEY_MAP, validateKeyMap, initKeyboardInput } from "./keyboard";
+import { importSamplePack, getSavedInstruments } from "./instruments";
+import {
+  getSongId,
+  saveLibrarySong,
+  getLibrarySongs,
+  updateLibrarySong,
+  deleteLibrarySong,
+} from "./library";
+import {
+  savePracticeRun,
+  getPracticeRuns,
+  getBestRun,
+  getMostMissedMeasures,
+} from "./history";
+import { encodeSong, decodeSong } from "./encoding";
+import { encodeWav } from "./wav";
+import {
+  MUSICXML_FILE_PATTERN,
+  readMusicXml,
+  getDefaultMusicXmlRoles,
+  convertMusicXmlToUrlData,
+} from "./musicxml";
 import { initUI } from "./ui";
 
 // --- CONFIGURATION ---
@@ -19,26 +70,55 @@ const HEIGHT = 400;
 // Helper to get fresh params (fixes PWA state caching issues)
 const getUrlParams = () => new URLSearchParams(window.location.search);
 
-const ORIGINAL_BPM = parseInt(getUrlParams().get("bpm")) || 100;
+// Song of a compact share link ("s" parameter, see encoding.js), or null for
+// links with the plain bpm/tempo/meter/melody/accompaniment parameters
+const readSharedSong = () => {
+  const encoded = getUrlParams().get("s");
+  if (!encoded) return null;
+  try {
+    return decodeSong(encoded);
+  } catch (err) {
+    console.error(err);
+    alert("Failed to read the song of this link.");
+    return null;
+  }
+};
+const SHARED_SONG = readSharedSong();
+
+// A song parameter, from the share link or the plain URL parameters
+const getSongParam = (name) =>
+  SHARED_SONG ? SHARED_SONG[name] : getUrlParams().get(name);
+
+const ORIGINAL_BPM = parseInt(getSongParam("bpm")) || 100;
+// Tempo and time signature changes, e.g. "32:90" and "0:4/4,32:3/4"
+const TEMPO_CHANGES = parseTempoChanges(getSongParam("tempo") || "");
+const METER_CHANGES = parseMeterChanges(getSongParam("meter") || "");
+// Scroll speed in pixels per frame at 60 fps
 const SPEED = parseInt(getUrlParams().get("speed")) || 4;
+const PIXELS_PER_SECOND = SPEED * 60;
 // Check if Demo Mode is active via query parameter
 const IS_DEMO_MODE = getUrlParams().get("demo") === "true";
 
 const START_NOTE = "A0";
 const END_NOTE = "C8";
 
-// 2. State for Slow Mode
-let isHalfSpeed = false;
+// Practice tempo in percent of the original, set with the tempo slider (🐢)
+// or the "rate" URL parameter and remembered per song
+const MIN_TEMPO_PERCENT = 25;
+const MAX_TEMPO_PERCENT = 150;
+const TEMPO_PERCENT_STEP = 5;
+const TEMPO_STORAGE_KEY = "rhythmpiano.tempo";
+let tempoPercent = 100;
 
-// 3. Helper functions to get current timing
-const getCurrentBpm = () => (isHalfSpeed ? ORIGINAL_BPM / 2 : ORIGINAL_BPM);
-const getFramesPerBeat = () => ((60 / ORIGINAL_BPM) * 60) / 2;
+// How fast song time passes compared to the original tempo
+const getPlaybackRate = () => tempoPercent / 100;
 
 // --- COLORS ---
 const COLOR_WHITE_KEY = 0xf0f0f0;
 const COLOR_BLACK_KEY = 0x202020;
 
 const getMelody = () => {
+  if (SHARED_SONG) return SHARED_SONG.melody;
   const urlMelody = getUrlParams().get("melody");
   if (urlMelody) {
     console.log("Custom melody loaded from URL");
@@ -48,6 +128,7 @@ const getMelody = () => {
 };
 
 const getAccompaniment = () => {
+  if (SHARED_SONG) return SHARED_SONG.accompaniment;
   const urlAccomp = getUrlParams().get("accompaniment");
   if (urlAccomp) {
     return decodeURIComponent(urlAccomp);
@@ -90,6 +171,8 @@ const gameContainer = new PIXI.Container();
 const worldContainer = new PIXI.Container();
 const keysContainer = new PIXI.Container();
 const notesContainer = new PIXI.Container();
+// Measure lines, drawn behind the notes when the song has a time signature
+const barLinesGraphic = new PIXI.Graphics();
 const uiContainer = new PIXI.Container();
 
 const pianoKeys = [];
@@ -100,44 +183,124 @@ let uiRefs = {
   loadingText: null,
   titleText: null,
   menuContainer: null,
+  hudContainer: null,
+  resultsContainer: null,
 };
 
-// Sequencer State (Melody)
-let parsedMelody = [];
-let melodyIndex = 0;
-let timeSinceLastNote = 0;
-let timeUntilNextNote = 0;
+// A–B loop settings, by measure (indexes into song.measures, end inclusive)
+const loopSettings = {
+  isEnabled: false,
+  startMeasure: 0,
+  endMeasure: 3,
+  isSpeedUp: false,
+};
+// Tempo raise after each clean pass when isSpeedUp is set
+const LOOP_TEMPO_STEP = 0.05;
+const MAX_LOOP_TEMPO = 1.5;
+// Loop being played (see createLoopState), null when not looping
+let loopState = null;
+
+// Song timeline (see song.js)
+let song = createSong({ melody: [], accompaniment: [], bpm: ORIGINAL_BPM });
 
-// Sequencer State (Accompaniment)
-let parsedAccompaniment = [];
+// Sequencer State: index of the next note to spawn in each track
+let melodyIndex = 0;
 let accompIndex = 0;
-let timeSinceLastAccomp = 0;
-let timeUntilNextAccomp = 0;
+// Index of the next metronome click to schedule (see song.clicks)
+let clickIndex = 0;
+// Index of the next sustain pedal change of each track (see song.pedal)
+const pedalIndex = { melody: 0, accompaniment: 0 };
+
+// Metronome and count-in, remembered across sessions
+const METRONOME_STORAGE_KEY = "rhythmpiano.metronome";
+const COUNT_IN_OPTIONS = [0, 1, 2]; // measures
+const metronomeSettings = { isEnabled: false, countInBars: 0 };
 
 let isGameActive = false;
+let isPaused = false;
 let isSongFinished = false;
+// Pending finishSong call after the last note
+let finishTimer = null;
 let isWaitMode = true;
+// How long (song seconds) wait mode has been holding the clock without a
+// break; cleared whenever the clock is repositioned or a loop pass starts
+let waitHoldTime = 0;
+let isMidiInputEnabled = false;
 
 // Game State
 let isDemoPlaying = false;
-// Determine track type from URL parameter (default to 'melody')
-let selectedTrackType =
-  getUrlParams().get("track") === "accompaniment" ? "accompaniment" : "melody";
+// Hands mode: which part the player plays while the other auto-plays.
+// The right hand plays the melody and the left hand the accompaniment.
+const HANDS_MODES = ["right", "left", "both"];
+const HAND_TRACKS = { right: "melody", left: "accompaniment" };
+const HAND_COLORS = {
+  right: { white: 0x00ffff, black: 0xff00ff },
+  left: { white: 0x66ff66, black: 0x3399ff },
+};
+
+// From the "hands" URL parameter, or the older "track" parameter
+const getInitialHandsMode = () => {
+  const params = getUrlParams();
+  if (HANDS_MODES.includes(params.get("hands"))) return params.get("hands");
+  return params.get("track") === "accompaniment" ? "left" : "right";
+};
+let handsMode = getInitialHandsMode();
+
+// Instrument per track, remembered across sessions
+const INSTRUMENTS_STORAGE_KEY = "rhythmpiano.instruments";
+const trackInstruments = {
+  melody: DEFAULT_INSTRUMENT_ID,
+  accompaniment: DEFAULT_INSTRUMENT_ID,
+};
+
+// Computer keyboard mapping, remembered across sessions
+const KEY_MAP_STORAGE_KEY = "rhythmpiano.keymap";
+let keyMap = DEFAULT_KEY_MAP;
+// Returned by initKeyboardInput, to apply an edited mapping
+let keyboardInput = null;
 
 // Camera State
 let targetCameraX = 0;
 
 // Constants
 const NOTE_HEIGHT = 40;
+const SPAWN_Y = -100;
+// Space between a note bar and the next note on the same key
 const NOTE_GAP = 5;
-const NOTE_CLEARANCE = NOTE_HEIGHT + NOTE_GAP;
+const MIN_NOTE_LENGTH = 5;
 const HIT_ZONE = 2 * NOTE_HEIGHT;
+// Notes with longer bars must be held down until their end
+const HOLD_MIN_LENGTH = 2 * NOTE_HEIGHT;
 const COLOR_NOTE_READY = 0xffff00;
 
+// Timing judgements, by distance (px) from a note's bottom edge to the hit line
+// (or from a held note's top edge when it is released).
+// The last entry catches every other hit accepted by HIT_ZONE.
+const JUDGEMENTS = [
+  { name: "Perfect", window: 10, points: 300, accuracy: 1.0, color: 0x00ff88 },
+  { name: "Great", window: 25, points: 200, accuracy: 0.7, color: 0x00ccff },
+  {
+    name: "Good",
+    window: Infinity,
+    points: 100,
+    accuracy: 0.4,
+    color: 0xffff00,
+  },
+];
+const MISS_JUDGEMENT = {
+  name: "Miss",
+  points: 0,
+  accuracy: 0,
+  color: 0xff4444,
+};
+
+// Score State
+let scoreState = createScoreState();
+
 // --- FILE OPEN LOGIC ---
 const fileInput = document.createElement("input");
 fileInput.type = "file";
-fileInput.accept = ".mid,.midi";
+fileInput.accept = ".mid,.midi,.musicxml,.xml,.mxl";
 fileInput.style.display = "none";
 document.body.appendChild(fileInput);
 
@@ -147,24 +310,211 @@ fileInput.addEventListener("change", async (e) => {
 
   if (uiRefs.menuContainer) uiRefs.menuContainer.visible = false;
   if (uiRefs.titleText) uiRefs.titleText.visible = false;
+  const isMusicXml = MUSICXML_FILE_PATTERN.test(file.name);
+  const formatName = isMusicXml ? "MusicXML" : "MIDI";
   if (uiRefs.loadingText) {
-    uiRefs.loadingText.text = "Parsing MIDI...";
+    uiRefs.loadingText.text = `Parsing ${formatName}...`;
     uiRefs.loadingText.visible = true;
   }
 
   try {
     const arrayBuffer = await file.arrayBuffer();
+    pendingImport = isMusicXml
+      ? readMusicXmlImport(arrayBuffer)
+      : readMidiImport(arrayBuffer);
+    if (!pendingImport.tracks.some((track) => track.noteCount > 0)) {
+      throw new Error(`No notes found in ${formatName} file.`);
+    }
+
+    // Use raw filename (without extension) for query parameter, unless the
+    // file has a title
+    if (!pendingImport.title) {
+      pendingImport.title = file.name.replace(/\.[^/.]+$/, "");
+    }
+    pendingImport.formatName = formatName;
+    // A single part is usually written for both hands
+    if (!pendingImport.roles.includes("accompaniment")) {
+      pendingImport.splitMidi = DEFAULT_SPLIT_MIDI;
+    }
+
+    if (uiRefs.loadingText) uiRefs.loadingText.visible = false;
+    uiRefs.showImportDialog(getImportRows());
+    uiRefs.setImportSplit(getSplitLabel());
+  } catch (err) {
+    console.error(err);
+    pendingImport = null;
+    alert(`Failed to parse ${formatName} file.`);
+    if (uiRefs.loadingText) uiRefs.loadingText.visible = false;
+    if (uiRefs.menuContainer) uiRefs.menuContainer.visible = true;
+    if (uiRefs.titleText) uiRefs.titleText.visible = true;
+  }
+});
+
+// A file to import: its tracks for the dialog, and how to convert them
+// (convert(minMidi, maxMidi, roles, splitMidi) resolves to the URL data)
+function readMidiImport(arrayBuffer) {
+  const tracks = readMidiTracks(arrayBuffer);
+  return {
+    title: "",
+    tracks,
+    roles: getDefaultTrackRoles(tracks),
+    splitMidi: null,
+    convert: (...args) => convertMidiToUrlData(arrayBuffer, ...args),
+  };
+}
+
+function readMusicXmlImport(arrayBuffer) {
+  const score = readMusicXml(arrayBuffer);
+  if (score.hasJumps) {
+    alert(
+      "D.C., D.S. and coda jumps of this score are not followed: the music is imported as written, with its repeats played out.",
+    );
+  }
+  return {
+    title: score.header.name,
+    tracks: readScoreTracks(score),
+    roles: getDefaultMusicXmlRoles(score),
+    splitMidi: null,
+    convert: (...args) => convertMusicXmlToUrlData(score, ...args),
+  };
+}
+
+// --- IMPORT DIALOG ---
+// File waiting in the import dialog:
+// { title, formatName, tracks, roles, splitMidi, convert }
+let pendingImport = null;
+let previewTrackIndex = null;
+let previewTimer = null;
+
+// Length of a track preview, from the track's first note
+const PREVIEW_DURATION = 10; // seconds
+
+// Split points between the hands (MIDI numbers, null = no split)
+const SPLIT_POINTS = [null, 55, 57, 59, 60, 62, 64, 65];
+const DEFAULT_SPLIT_MIDI = 60; // C4
+
+function getSplitLabel() {
+  const splitMidi = pendingImport.splitMidi;
+  return splitMidi === null ? "Off" : NOTES_DATA[midiToKeyIndex(splitMidi)].id;
+}
+
+function cycleSplitPoint() {
+  const index = SPLIT_POINTS.indexOf(pendingImport.splitMidi);
+  pendingImport.splitMidi = SPLIT_POINTS[(index + 1) % SPLIT_POINTS.length];
+  uiRefs.setImportSplit(getSplitLabel());
+}
+
+function getImportRows() {
+  return pendingImport.tracks.map((track, i) => {
+    const name = track.name || `Track ${i + 1}`;
+    const details = [
+      track.isPercussion ? "Drums" : track.instrument,
+      `Ch ${track.channel}`,
+      `${track.noteCount} notes`,
+    ];
+    if (track.noteCount > 0) {
+      details.push(`${track.lowestNote}–${track.highestNote}`);
+    }
+
+    return {
+      description: `${name.substring(0, 24)} · ${details.join(" · ")}`,
+      role: pendingImport.roles[i],
+      isPreviewing: previewTrackIndex === i,
+    };
+  });
+}
+
+function cycleTrackRole(index) {
+  const roles = pendingImport.roles;
+  roles[index] =
+    TRACK_ROLES[(TRACK_ROLES.indexOf(roles[index]) + 1) % TRACK_ROLES.length];
+  uiRefs.updateImportDialog(getImportRows());
+}
+
+function stopTrackPreview() {
+  stopPreview();
+  clearTimeout(previewTimer);
+  previewTrackIndex = null;
+}
+
+function toggleTrackPreview(index) {
+  const isSameTrack = previewTrackIndex === index;
+  stopTrackPreview();
+
+  const notes = pendingImport.tracks[index].notes;
+  if (!isSameTrack && notes.length > 0) {
+    initAudio();
+    // Skip the silence before the first note
+    const startTime = notes[0].time;
+    const minMidi = noteNameToMidi(START_NOTE);
+    const maxMidi = noteNameToMidi(END_NOTE);
+
+    const previewNotes = notes
+      .filter((note) => note.time - startTime < PREVIEW_DURATION)
+      .map((note) => {
+        // Fold notes outside the piano into range, like the converter
+        let midi = note.midi;
+        while (midi < minMidi) midi += 12;
+        while (midi > maxMidi) midi -= 12;
+        return {
+          id: NOTES_DATA[midiToKeyIndex(midi)].id,
+          time: note.time - startTime,
+          duration: note.duration,
+          velocity: note.velocity,
+        };
+      });
+
+    playPreview(previewNotes, trackInstruments[getPlayerTrack()]);
+    previewTrackIndex = index;
+
+    // The last note to start is not always the last to end
+    const endTime = previewNotes.reduce(
+      (end, note) => Math.max(end, note.time + note.duration),
+      0,
+    );
+    previewTimer = setTimeout(() => {
+      previewTrackIndex = null;
+      uiRefs.updateImportDialog(getImportRows());
+    }, endTime * 1000);
+  }
+
+  uiRefs.updateImportDialog(getImportRows());
+}
+
+function closeImportDialog() {
+  stopTrackPreview();
+  pendingImport = null;
+  uiRefs.importContainer.visible = false;
+}
+
+function cancelImport() {
+  closeImportDialog();
+  uiRefs.menuContainer.visible = true;
+  if (uiRefs.titleText) uiRefs.titleText.visible = true;
+}
+
+async function confirmImport() {
+  if (!pendingImport.roles.includes("melody")) {
+    alert("Please choose a melody track.");
+    return;
+  }
 
-    // Use raw filename (without extension) for query parameter
-    const title = file.name.replace(/\.[^/.]+$/, "");
+  const { title, formatName, roles, splitMidi, convert } = pendingImport;
+  closeImportDialog();
+  if (uiRefs.loadingText) {
+    uiRefs.loadingText.text = `Parsing ${formatName}...`;
+    uiRefs.loadingText.visible = true;
+  }
 
+  try {
     const minMidi = noteNameToMidi(START_NOTE);
     const maxMidi = noteNameToMidi(END_NOTE);
 
-    const { bpm, melody, accompaniment } = await convertMidiToUrlData(
-      arrayBuffer,
+    const { bpm, tempo, meter, melody, accompaniment } = await convert(
       minMidi,
       maxMidi,
+      roles,
+      splitMidi,
     );
 
     const newUrl = new URL(window.location.href);
@@ -172,8 +522,22 @@ fileInput.addEventListener("change", async (e) => {
     newUrl.searchParams.set("bpm", bpm);
     newUrl.searchParams.set("melody", melody);
 
-    // Reset track selection to default (melody) on new file load
+    for (const [param, value] of [
+      ["tempo", tempo],
+      ["meter", meter],
+    ]) {
+      if (value) {
+        newUrl.searchParams.set(param, value);
+      } else {
+        newUrl.searchParams.delete(param);
+      }
+    }
+
+    // The plain parameters replace the song of a share link
+    newUrl.searchParams.delete("s");
+    // Reset track selection to default (right hand) on new file load
     newUrl.searchParams.delete("track");
+    newUrl.searchParams.delete("hands");
 
     if (accompaniment) {
       newUrl.searchParams.set("accompaniment", accompaniment);
@@ -185,12 +549,595 @@ fileInput.addEventListener("change", async (e) => {
     window.location.assign(newUrl.toString());
   } catch (err) {
     console.error(err);
-    alert("Failed to parse MIDI file.");
+    alert(`Failed to parse ${formatName} file.`);
     if (uiRefs.loadingText) uiRefs.loadingText.visible = false;
     if (uiRefs.menuContainer) uiRefs.menuContainer.visible = true;
     if (uiRefs.titleText) uiRefs.titleText.visible = true;
   }
-});
+}
+
+// --- SONG LIBRARY ---
+// URL parameters that make up a song (besides its title)
+const SONG_URL_PARAMS = ["bpm", "tempo", "meter", "melody", "accompaniment"];
+// Library songs in the order shown, while the library is open
+let librarySongs = [];
+
+function getSongUrlParams() {
+  const params = {};
+  for (const name of SONG_URL_PARAMS) {
+    const value = getSongParam(name);
+    if (value) params[name] = value;
+  }
+  return params;
+}
+
+function formatSongLength(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function getLibraryRows() {
+  return librarySongs.map((record) => ({
+    title: record.title,
+    description: [
+      `${record.bpm} BPM`,
+      formatSongLength(record.duration),
+      record.lastPlayedAt
+        ? `Played ${new Date(record.lastPlayedAt).toLocaleDateString()}`
+        : "Not played yet",
+    ].join(" · "),
+    isFavorite: record.isFavorite,
+    isCurrent: record.id === getSongKey(),
+  }));
+}
+
+// Favorites first, then the most recently played or added
+async function loadLibrarySongs() {
+  const getRecent = (record) => record.lastPlayedAt || record.addedAt;
+  librarySongs = (await getLibrarySongs()).sort(
+    (a, b) => b.isFavorite - a.isFavorite || getRecent(b) - getRecent(a),
+  );
+}
+
+async function openLibrary() {
+  await loadLibrarySongs();
+  uiRefs.menuContainer.visible = false;
+  if (uiRefs.titleText) uiRefs.titleText.visible = false;
+  uiRefs.showLibrary(getLibraryRows());
+}
+
+function closeLibrary() {
+  librarySongs = [];
+  uiRefs.libraryContainer.visible = false;
+  uiRefs.menuContainer.visible = true;
+  if (uiRefs.titleText) uiRefs.titleText.visible = true;
+}
+
+function openLibrarySong(index) {
+  const record = librarySongs[index];
+  const newUrl = new URL(window.location.href);
+  newUrl.searchParams.set("title", record.title);
+  for (const name of SONG_URL_PARAMS) {
+    if (record.params[name]) {
+      newUrl.searchParams.set(name, record.params[name]);
+    } else {
+      newUrl.searchParams.delete(name);
+    }
+  }
+  // Hands and tempo are chosen again (the tempo is remembered per song)
+  for (const name of ["s", "track", "hands", "rate"]) {
+    newUrl.searchParams.delete(name);
+  }
+
+  // Force a location assignment to ensure PWA navigation
+  window.location.assign(newUrl.toString());
+}
+
+async function renameLibrarySong(index) {
+  const record = librarySongs[index];
+  const title = prompt("Song title:", record.title);
+  if (!title || !title.trim()) return;
+
+  await updateLibrarySong(record.id, { title: title.trim() });
+  await loadLibrarySongs();
+  uiRefs.updateLibrary(getLibraryRows());
+}
+
+async function toggleLibraryFavorite(index) {
+  const record = librarySongs[index];
+  await updateLibrarySong(record.id, { isFavorite: !record.isFavorite });
+  await loadLibrarySongs();
+  uiRefs.updateLibrary(getLibraryRows());
+}
+
+async function removeLibrarySong(index) {
+  const record = librarySongs[index];
+  if (!confirm(`Remove "${record.title}" from the library?`)) return;
+
+  await deleteLibrarySong(record.id);
+  await loadLibrarySongs();
+  uiRefs.updateLibrary(getLibraryRows());
+}
+
+// --- SHARING ---
+// The current URL with the song in the compact "s" parameter
+function getShareUrl() {
+  const newUrl = new URL(window.location.href);
+  const params = getSongUrlParams();
+  if (params.melody || params.accompaniment) {
+    try {
+      newUrl.searchParams.set(
+        "s",
+        encodeSong({
+          ...params,
+          melody: getMelody(),
+          accompaniment: getAccompaniment(),
+        }),
+      );
+      for (const name of SONG_URL_PARAMS) {
+        newUrl.searchParams.delete(name);
+      }
+    } catch (e) {
+      // keep the plain parameters, which are always exact
+      console.error(e);
+    }
+  }
+  return newUrl.toString();
+}
+
+// --- EXPORT ---
+function downloadFile(bytes, type, name, extension) {
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  // Keep the name usable as a file name on every system
+  link.download = `${name.replace(/[\\/:*?"<>|]+/g, "_")}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right after the click can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportMidiFile() {
+  const title = getTitle() || "Untitled";
+  downloadFile(convertSongToMidi(song, title), "audio/midi", title, "mid");
+}
+
+let isRenderingAudio = false;
+
+// Renders both tracks at the practice tempo, with their instruments
+async function exportWavFile() {
+  if (isRenderingAudio) return;
+  isRenderingAudio = true;
+  uiRefs.setExportStatus("Rendering audio...");
+
+  try {
+    const audioBuffer = await renderSongAudio(
+      [
+        {
+          notes: song.melody,
+          pedal: song.pedal.melody,
+          instrumentId: trackInstruments.melody,
+        },
+        {
+          notes: song.accompaniment,
+          pedal: song.pedal.accompaniment,
+          instrumentId: trackInstruments.accompaniment,
+        },
+      ],
+      song.duration,
+      getPlaybackRate(),
+    );
+    const title = getTitle() || "Untitled";
+    downloadFile(encodeWav(audioBuffer), "audio/wav", title, "wav");
+  } catch (e) {
+    console.error(e);
+    alert("Could not render the audio file.");
+  }
+
+  isRenderingAudio = false;
+  uiRefs.setExportStatus(null);
+}
+
+// --- RECORDING ---
+// The take being recorded (null when not recording) and the last finished one
+let currentTake = null;
+let lastTake = null;
+let replayTimers = [];
+
+// In the game a take follows the song clock, so it lines up with the song's
+// measures; in free play it starts at the first note
+function startTake() {
+  currentTake = {
+    isSongTime: isGameActive,
+    startedAt: null,
+    rate: getPlaybackRate(),
+    notes: [],
+    pedal: [],
+    isSustainOn: false,
+    // Key index -> note still held
+    heldNotes: new Map(),
+  };
+}
+
+function getTakeTime(take) {
+  if (take.isSongTime) return Math.max(getSongTime(), 0);
+  if (take.startedAt === null) take.startedAt = performance.now();
+  return (performance.now() - take.startedAt) / 1000;
+}
+
+function finishTake() {
+  const take = currentTake;
+  currentTake = null;
+  for (const index of [...take.heldNotes.keys()]) {
+    recordNoteOff(index, take);
+  }
+  if (take.notes.length > 0) lastTake = take;
+}
+
+// Ends the take and records on in a new one (entering or leaving the game)
+function restartTake() {
+  if (!currentTake) return;
+  finishTake();
+  startTake();
+  updateRecordingState();
+}
+
+function recordNoteOn(index, velocity = 127) {
+  if (!currentTake || isPaused) return;
+  // A key pressed again before its release (e.g. mouse and keyboard)
+  recordNoteOff(index);
+
+  const note = {
+    id: NOTES_DATA[index].id,
+    time: getTakeTime(currentTake),
+    duration: 0,
+    velocity,
+  };
+  currentTake.notes.push(note);
+  currentTake.heldNotes.set(index, note);
+}
+
+function recordNoteOff(index, take = currentTake) {
+  const note = take && take.heldNotes.get(index);
+  if (!note) return;
+  note.duration = getTakeTime(take) - note.time;
+  take.heldNotes.delete(index);
+}
+
+function recordSustain(isOn) {
+  if (!currentTake || currentTake.isSustainOn === isOn) return;
+  // A pedal release before the first note means nothing
+  if (!isOn && currentTake.notes.length === 0) return;
+  currentTake.isSustainOn = isOn;
+  currentTake.pedal.push({ time: getTakeTime(currentTake), isOn });
+}
+
+function getTakeLabel() {
+  if (currentTake) {
+    return currentTake.isSongTime
+      ? "Recording your playing along the song..."
+      : "Recording... play freely, or start the song with ▶️.";
+  }
+  if (!lastTake) return "Press ⏺ to record your playing.";
+
+  const { notes, rate } = lastTake;
+  const end = Math.max(...notes.map((note) => note.time + note.duration));
+  const length = lastTake.isSongTime ? end / rate : end;
+  return `Last take: ${notes.length} notes, ${formatSongLength(length)}`;
+}
+
+function updateRecordingState() {
+  if (!uiRefs.setRecordingState) return;
+  uiRefs.setRecordingState({
+    isRecording: currentTake !== null,
+    isReplaying: replayTimers.length > 0,
+    hasTake: lastTake !== null,
+    label: getTakeLabel(),
+  });
+}
+
+function toggleRecording() {
+  stopReplay();
+  if (currentTake) {
+    finishTake();
+  } else {
+    initAudio();
+    startTake();
+  }
+  updateRecordingState();
+}
+
+function stopReplay() {
+  if (replayTimers.length === 0) return;
+  stopPreview();
+  for (const timer of replayTimers) clearTimeout(timer);
+  replayTimers = [];
+  for (const keyObj of pianoKeys) keyObj.graphic.tint = keyObj.originalColor;
+}
+
+// Notes ring on while the pedal is down, as they did when played
+function getSoundingDuration(note, pedal) {
+  let end = note.time + note.duration;
+  let isOn = false;
+  for (const change of pedal) {
+    if (change.time > end && !isOn) break;
+    if (change.time > end && !change.isOn) return change.time - note.time;
+    isOn = change.isOn;
+  }
+  // Still down at the end of the take: a release after the last note
+  if (isOn) end += 1;
+  return end - note.time;
+}
+
+function toggleReplay() {
+  if (replayTimers.length > 0) {
+    stopReplay();
+    updateRecordingState();
+    return;
+  }
+  if (!lastTake) return;
+
+  initAudio();
+  // Song takes play back at the tempo they were recorded at
+  const scale = lastTake.isSongTime ? 1 / lastTake.rate : 1;
+  const startTime = lastTake.notes[0].time;
+  const notes = lastTake.notes.map((note) => ({
+    ...note,
+    time: (note.time - startTime) * scale,
+    duration: getSoundingDuration(note, lastTake.pedal) * scale,
+  }));
+  playPreview(notes, trackInstruments[getPlayerTrack()]);
+
+  // Show the keys going down, following them with the camera
+  centerCameraOnIndex(NOTES_DATA.findIndex((n) => n.id === notes[0].id));
+  lastTake.notes.forEach((note, i) => {
+    const index = NOTES_DATA.findIndex((n) => n.id === note.id);
+    const keyObj = pianoKeys[index];
+    const start = notes[i].time * 1000;
+    const end = start + Math.max(note.duration * scale * 1000, 100);
+    replayTimers.push(
+      setTimeout(() => {
+        keyObj.graphic.tint = 0xffa500;
+        centerCameraOnIndex(index);
+      }, start),
+      setTimeout(() => {
+        keyObj.graphic.tint = keyObj.originalColor;
+      }, end),
+    );
+  });
+
+  const end = Math.max(...notes.map((note) => note.time + note.duration));
+  replayTimers.push(
+    setTimeout(() => {
+      replayTimers = [];
+      updateRecordingState();
+    }, end * 1000),
+  );
+  updateRecordingState();
+}
+
+function downloadTake() {
+  if (!lastTake) return;
+  const title = getTitle() || "Performance";
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    convertTakeToMidi(lastTake, lastTake.isSongTime ? song : null, title),
+    "audio/midi",
+    `${title} - ${date}`,
+    "mid",
+  );
+}
+
+// --- SAMPLE PACK LOGIC ---
+// Zip archive, or a whole folder (webkitdirectory)
+const packInput = document.createElement("input");
+packInput.type = "file";
+packInput.accept = ".zip";
+packInput.style.display = "none";
+document.body.appendChild(packInput);
+
+const packFolderInput = document.createElement("input");
+packFolderInput.type = "file";
+packFolderInput.webkitdirectory = true;
+packFolderInput.style.display = "none";
+document.body.appendChild(packFolderInput);
+
+async function onSamplePackSelected(e) {
+  const files = [...e.target.files];
+  if (files.length === 0) return;
+
+  if (uiRefs.instrumentContainer) uiRefs.instrumentContainer.visible = false;
+  if (uiRefs.loadingText) {
+    uiRefs.loadingText.text = "Loading Sample Pack...";
+    uiRefs.loadingText.visible = true;
+  }
+
+  try {
+    const record = await importSamplePack(files);
+    registerInstrument(record);
+    await loadInstrument(record.id);
+    // The player's own part gets the new instrument
+    setTrackInstrument(getPlayerTrack(), record.id);
+  } catch (err) {
+    console.error(err);
+    alert("Failed to load sample pack.");
+  }
+
+  if (uiRefs.loadingText) uiRefs.loadingText.visible = false;
+  if (uiRefs.instrumentContainer) uiRefs.instrumentContainer.visible = true;
+}
+
+packInput.addEventListener("change", onSamplePackSelected);
+packFolderInput.addEventListener("change", onSamplePackSelected);
+
+// --- INSTRUMENTS ---
+function loadInstrumentPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(INSTRUMENTS_STORAGE_KEY));
+    for (const track of Object.keys(trackInstruments)) {
+      if (saved && hasInstrument(saved[track])) {
+        trackInstruments[track] = saved[track];
+      }
+    }
+  } catch (e) {
+    // keep defaults on malformed storage
+  }
+}
+
+function getInstrumentNames() {
+  const names = {};
+  const instruments = getInstruments();
+  for (const [track, id] of Object.entries(trackInstruments)) {
+    names[track] = instruments.find((inst) => inst.id === id).name;
+  }
+  return names;
+}
+
+function setTrackInstrument(track, id) {
+  trackInstruments[track] = id;
+  localStorage.setItem(
+    INSTRUMENTS_STORAGE_KEY,
+    JSON.stringify(trackInstruments),
+  );
+  uiRefs.setInstrumentNames(getInstrumentNames());
+}
+
+async function cycleTrackInstrument(track) {
+  const instruments = getInstruments();
+  const currentIndex = instruments.findIndex(
+    (inst) => inst.id === trackInstruments[track],
+  );
+  const next = instruments[(currentIndex + 1) % instruments.length];
+  setTrackInstrument(track, next.id);
+  await loadInstrument(next.id);
+}
+
+// --- HANDS ---
+function isTrackPlayed(track) {
+  return handsMode === "both" || HAND_TRACKS[handsMode] === track;
+}
+
+// Track whose instrument the player's keys use
+function getPlayerTrack() {
+  return handsMode === "left" ? "accompaniment" : "melody";
+}
+
+function getHandsLabel() {
+  return { right: "✋R", left: "🤚L", both: "🙌" }[handsMode];
+}
+
+function cycleHandsMode() {
+  handsMode =
+    HANDS_MODES[(HANDS_MODES.indexOf(handsMode) + 1) % HANDS_MODES.length];
+
+  // Keep the choice in the URL so shared links include it
+  const newUrl = new URL(window.location.href);
+  newUrl.searchParams.set("hands", handsMode);
+  newUrl.searchParams.delete("track");
+  window.history.replaceState(null, "", newUrl.toString());
+
+  return getHandsLabel();
+}
+
+// --- TEMPO ---
+function clampTempoPercent(percent) {
+  const stepped = Math.round(percent / TEMPO_PERCENT_STEP) * TEMPO_PERCENT_STEP;
+  return Math.min(Math.max(stepped, MIN_TEMPO_PERCENT), MAX_TEMPO_PERCENT);
+}
+
+// Id of the current song, for its saved tempo and its library entry.
+// The notes of the page don't change, so it is computed once.
+let songKey = null;
+function getSongKey() {
+  if (songKey === null) songKey = getSongId(getMelody(), getAccompaniment());
+  return songKey;
+}
+
+function loadSavedTempos() {
+  try {
+    return JSON.parse(localStorage.getItem(TEMPO_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// From the "rate" URL parameter, else the last tempo used for this song
+function getInitialTempoPercent() {
+  const urlRate = parseInt(getUrlParams().get("rate"));
+  if (urlRate) return clampTempoPercent(urlRate);
+  const saved = loadSavedTempos()[getSongKey()];
+  return saved ? clampTempoPercent(saved) : 100;
+}
+
+function getTempoLabels() {
+  return {
+    percent: tempoPercent,
+    minPercent: MIN_TEMPO_PERCENT,
+    maxPercent: MAX_TEMPO_PERCENT,
+    stepPercent: TEMPO_PERCENT_STEP,
+    label: `${tempoPercent}% (${Math.round((ORIGINAL_BPM * tempoPercent) / 100)} BPM)`,
+  };
+}
+
+function setTempoPercent(percent) {
+  tempoPercent = clampTempoPercent(percent);
+
+  const saved = loadSavedTempos();
+  if (tempoPercent === 100) {
+    delete saved[getSongKey()];
+  } else {
+    saved[getSongKey()] = tempoPercent;
+  }
+  localStorage.setItem(TEMPO_STORAGE_KEY, JSON.stringify(saved));
+
+  // Keep the choice in the URL so shared links include it
+  const newUrl = new URL(window.location.href);
+  if (tempoPercent === 100) {
+    newUrl.searchParams.delete("rate");
+  } else {
+    newUrl.searchParams.set("rate", tempoPercent);
+  }
+  window.history.replaceState(null, "", newUrl.toString());
+
+  return getTempoLabels();
+}
+
+// --- METRONOME ---
+function loadMetronomeSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(METRONOME_STORAGE_KEY));
+    if (saved) {
+      metronomeSettings.isEnabled = !!saved.isEnabled;
+      if (COUNT_IN_OPTIONS.includes(saved.countInBars)) {
+        metronomeSettings.countInBars = saved.countInBars;
+      }
+    }
+  } catch (e) {
+    // keep defaults on malformed storage
+  }
+}
+
+function getMetronomeLabels() {
+  const bars = metronomeSettings.countInBars;
+  return {
+    isEnabled: metronomeSettings.isEnabled,
+    countInLabel:
+      bars === 0
+        ? "No count-in"
+        : `Count-in: ${bars} bar${bars > 1 ? "s" : ""}`,
+  };
+}
+
+function saveMetronomeSettings() {
+  localStorage.setItem(
+    METRONOME_STORAGE_KEY,
+    JSON.stringify(metronomeSettings),
+  );
+  return getMetronomeLabels();
+}
 
 // --- PIANO GENERATION ---
 function createPiano() {
@@ -293,9 +1240,16 @@ function centerCameraOnIndex(index, immediate = false) {
   }
 }
 
-function alignCameraToActiveTrack() {
-  const activeTrack =
-    selectedTrackType === "melody" ? parsedMelody : parsedAccompaniment;
+// Notes of the tracks the player plays, in time order
+function getPlayedNotes() {
+  const notes = [];
+  if (isTrackPlayed("melody")) notes.push(...song.melody);
+  if (isTrackPlayed("accompaniment")) notes.push(...song.accompaniment);
+  return notes.sort((a, b) => a.time - b.time);
+}
+
+function alignCameraToActiveTrack(startTime = 0) {
+  const activeTrack = getPlayedNotes().filter((n) => n.time >= startTime);
 
   if (activeTrack.length === 0) {
     centerCameraOnIndex(Math.floor(pianoKeys.length / 2), true);
@@ -311,14 +1265,11 @@ function alignCameraToActiveTrack() {
   const limit = Math.min(activeTrack.length, SCAN_WINDOW);
 
   for (let i = 0; i < limit; i++) {
-    const n = activeTrack[i];
-    if (n.id) {
-      const idx = NOTES_DATA.findIndex((nd) => nd.id === n.id);
-      if (idx !== -1) {
-        if (idx < minIndex) minIndex = idx;
-        if (idx > maxIndex) maxIndex = idx;
-        found = true;
-      }
+    const idx = NOTES_DATA.findIndex((nd) => nd.id === activeTrack[i].id);
+    if (idx !== -1) {
+      if (idx < minIndex) minIndex = idx;
+      if (idx > maxIndex) maxIndex = idx;
+      found = true;
     }
   }
 
@@ -330,102 +1281,578 @@ function alignCameraToActiveTrack() {
   }
 }
 
+// --- SCORING ---
+function createScoreState() {
+  const counts = {};
+  for (const judgement of [...JUDGEMENTS, MISS_JUDGEMENT]) {
+    counts[judgement.name] = 0;
+  }
+  return {
+    score: 0,
+    combo: 0,
+    maxCombo: 0,
+    counts: counts,
+    accuracySum: 0,
+    // Measure index -> misses, for the practice history
+    missesByMeasure: {},
+  };
+}
+
+function judgeHit(note, hitLineY) {
+  const dist = Math.abs(note.y + NOTE_HEIGHT - hitLineY);
+  return JUDGEMENTS.find((j) => dist <= j.window);
+}
+
+// Judges the release of a held note at a song time. Letting go more than
+// HIT_ZONE before the end is a miss; late releases are judged like hits.
+function judgeRelease(note, songTime) {
+  const dist = (songTime - (note.time + note.duration)) * PIXELS_PER_SECOND;
+  if (dist < -HIT_ZONE) return MISS_JUDGEMENT;
+  return JUDGEMENTS.find((j) => Math.abs(dist) <= j.window);
+}
+
+function registerJudgement(judgement, note) {
+  scoreState.counts[judgement.name]++;
+  scoreState.accuracySum += judgement.accuracy;
+
+  if (judgement === MISS_JUDGEMENT) {
+    scoreState.combo = 0;
+    const { missesByMeasure } = scoreState;
+    missesByMeasure[note.measure] = (missesByMeasure[note.measure] || 0) + 1;
+    if (loopState) loopState.isPassClean = false;
+  } else {
+    scoreState.combo++;
+    scoreState.maxCombo = Math.max(scoreState.maxCombo, scoreState.combo);
+    scoreState.score += judgement.points;
+  }
+
+  uiRefs.updateHud(scoreState);
+  uiRefs.showJudgement(judgement);
+}
+
+function getResults() {
+  const judgedNotes = Object.values(scoreState.counts).reduce(
+    (sum, count) => sum + count,
+    0,
+  );
+  const accuracy =
+    judgedNotes > 0 ? (scoreState.accuracySum / judgedNotes) * 100 : 0;
+
+  return {
+    accuracy: accuracy,
+    score: scoreState.score,
+    counts: scoreState.counts,
+    maxCombo: scoreState.maxCombo,
+  };
+}
+
+function finishSong() {
+  // Already stopped (e.g. with ⏹ just before the song ended)
+  if (!isGameActive) return;
+  if (isDemoPlaying) {
+    resetToMenu();
+    return;
+  }
+  isGameActive = false;
+  restartTake();
+  setPaused(false);
+  stopScheduler();
+  clearActiveNotes();
+  barLinesGraphic.clear();
+  uiRefs.hudContainer.visible = false;
+
+  const results = getResults();
+  uiRefs.showResults(results);
+  // Only whole songs played to the end go into the history
+  if (isSongFinished && !loopState) recordPracticeRun(results);
+}
+
+// --- PRACTICE HISTORY ---
+async function recordPracticeRun(results) {
+  const songId = getSongKey();
+  const previousBest = getBestRun(await getPracticeRuns(songId));
+
+  await savePracticeRun({
+    songId,
+    playedAt: Date.now(),
+    tempoPercent,
+    isWaitMode,
+    hands: handsMode,
+    accuracy: results.accuracy,
+    score: results.score,
+    maxCombo: results.maxCombo,
+    misses: results.counts.Miss,
+    missesByMeasure: scoreState.missesByMeasure,
+  });
+
+  uiRefs.setResultsBest(
+    !previousBest || results.accuracy > previousBest.accuracy
+      ? "🏆 New best!"
+      : `Best: ${previousBest.accuracy.toFixed(1)}%`,
+  );
+}
+
+// Runs shown in the chart and used for the most missed measures
+const HISTORY_CHART_RUNS = 20;
+const HISTORY_TROUBLE_RUNS = 10;
+
+async function showSongHistory(songId, title) {
+  const runs = await getPracticeRuns(songId);
+  const best = getBestRun(runs);
+  const last = runs[runs.length - 1];
+
+  const summary = [`Runs: ${runs.length}`];
+  if (best) {
+    summary.push(
+      `Best: ${best.accuracy.toFixed(1)}% · ${best.score} pts`,
+      `Last: ${last.accuracy.toFixed(1)}% on ${new Date(last.playedAt).toLocaleDateString()}`,
+      `at ${last.tempoPercent}% tempo, wait ${last.isWaitMode ? "on" : "off"}`,
+    );
+  }
+
+  const troubleMeasures = getMostMissedMeasures(
+    runs.slice(-HISTORY_TROUBLE_RUNS),
+  ).slice(0, 3);
+  if (troubleMeasures.length > 0) {
+    summary.push(
+      "",
+      "Most missed:",
+      ...troubleMeasures.map(
+        ({ measure, misses }) => `Bar ${measure + 1} · ${misses} misses`,
+      ),
+    );
+  }
+
+  uiRefs.showHistory({
+    title,
+    points: runs.slice(-HISTORY_CHART_RUNS).map((run) => ({
+      accuracy: run.accuracy,
+      isWaitMode: run.isWaitMode,
+    })),
+    summary: summary.join("\n"),
+  });
+}
+
 // --- GAME LOGIC ---
 function resetGame() {
-  melodyIndex = 0;
-  timeSinceLastNote = 0;
-  timeUntilNextNote = 0;
-  accompIndex = 0;
-  timeSinceLastAccomp = 0;
-  timeUntilNextAccomp = 0;
+  loopState = loopSettings.isEnabled ? createLoopState() : null;
+  const startTime = loopState ? loopState.start : 0;
+  melodyIndex = findNoteIndex(song.melody, startTime);
+  accompIndex = findNoteIndex(song.accompaniment, startTime);
+  clickIndex = findNoteIndex(song.clicks, startTime);
+  setPedalIndex(startTime);
 
   isSongFinished = false;
   isDemoPlaying = false;
+  updateLibrarySong(getSongKey(), { lastPlayedAt: Date.now() });
 
-  for (const note of activeNotes) {
-    notesContainer.removeChild(note);
-  }
-  activeNotes.length = 0;
+  scoreState = createScoreState();
+  uiRefs.updateHud(scoreState);
+  uiRefs.hudContainer.visible = true;
+  uiRefs.resultsContainer.visible = false;
+
+  clearActiveNotes();
 
   uiRefs.menuContainer.visible = false;
   if (uiRefs.titleText) uiRefs.titleText.visible = false;
-  alignCameraToActiveTrack();
+  alignCameraToActiveTrack(startTime);
   initAudio();
+  startSongClock(startTime);
   isGameActive = true;
+  restartTake();
 }
 
 function startDemo() {
+  loopState = null;
   melodyIndex = 0;
-  timeSinceLastNote = 0;
-  timeUntilNextNote = 0;
   accompIndex = 0;
-  timeSinceLastAccomp = 0;
-  timeUntilNextAccomp = 0;
+  clickIndex = 0;
+  setPedalIndex(0);
 
   isSongFinished = false;
   isDemoPlaying = true;
 
-  for (const note of activeNotes) {
-    notesContainer.removeChild(note);
-  }
-  activeNotes.length = 0;
+  clearActiveNotes();
 
   uiRefs.menuContainer.visible = false;
   if (uiRefs.titleText) uiRefs.titleText.visible = false;
   alignCameraToActiveTrack();
   initAudio();
+  startSongClock(0);
   isGameActive = true;
 }
 
+function removeActiveNote(note) {
+  notesContainer.removeChild(note);
+  activeNotes.splice(activeNotes.indexOf(note), 1);
+}
+
+function clearActiveNotes() {
+  for (const note of activeNotes) {
+    notesContainer.removeChild(note);
+  }
+  activeNotes.length = 0;
+}
+
+// Index of the first note starting at or after a song time
+function findNoteIndex(notes, time) {
+  const index = notes.findIndex((note) => note.time >= time);
+  return index === -1 ? notes.length : index;
+}
+
+function setPedalIndex(time) {
+  for (const track of Object.keys(pedalIndex)) {
+    pedalIndex[track] = findNoteIndex(song.pedal[track], time);
+  }
+}
+
+// Starts song time so that the notes at startTime fall in from the top of
+// the view, after the count-in if it is longer; notes are spawned and
+// scheduled against it
+function startSongClock(startTime) {
+  setPaused(false);
+  stopScheduler();
+  setSongRate(getPlaybackRate());
+
+  const countIn = getCountInClicks(
+    song,
+    startTime,
+    metronomeSettings.countInBars,
+  );
+  const countInTime = countIn.length > 0 ? startTime - countIn[0].time : 0;
+  setSongTime(startTime - Math.max(getSpawnLeadTime(), countInTime));
+  waitHoldTime = 0;
+  for (const click of countIn) {
+    scheduleSongClick(click.time, click.isAccent);
+  }
+  startScheduler();
+}
+
+// --- PAUSE & SEEK ---
+function setPaused(paused) {
+  if (paused === isPaused) return;
+  isPaused = paused;
+  setAudioPaused(paused);
+  if (uiRefs.setPaused) uiRefs.setPaused(paused);
+}
+
+function togglePause() {
+  if (!isGameActive || isDemoPlaying) return;
+  setPaused(!isPaused);
+}
+
+/**
+ * Restarts play at the measure containing a position of the song, with the
+ * notes falling in from the top like at the start.
+ * @param {number} fraction - Position from 0 (start) to 1 (end)
+ */
+function seekTo(fraction) {
+  if (!isGameActive || isDemoPlaying) return;
+
+  let time = Math.min(Math.max(fraction, 0), 1) * song.duration;
+  if (loopState) {
+    // Stay inside the loop and start a fresh pass
+    time = Math.min(Math.max(time, loopState.start), loopState.end);
+    loopState.spawnOffset = 0;
+    loopState.passEnd = loopState.end;
+    loopState.isPassClean = true;
+  }
+  time = song.measures[getMeasureIndex(song.measures, time)].time;
+  if (loopState) time = Math.max(time, loopState.start);
+
+  clearTimeout(finishTimer);
+  isSongFinished = false;
+  stopScheduler();
+  clearActiveNotes();
+
+  melodyIndex = findNoteIndex(song.melody, time);
+  accompIndex = findNoteIndex(song.accompaniment, time);
+  clickIndex = findNoteIndex(song.clicks, time);
+  setPedalIndex(time);
+  alignCameraToActiveTrack(time);
+
+  setSongTime(time - getSpawnLeadTime());
+  waitHoldTime = 0;
+  startScheduler();
+}
+
+function updateProgress(songTime) {
+  // Later loop passes run past the song's own times
+  const time = loopState
+    ? songTime - (loopState.passEnd - loopState.end)
+    : songTime;
+  const measureIndex = getMeasureIndex(song.measures, time);
+  uiRefs.setProgress(
+    song.duration > 0 ? Math.max(time, 0) / song.duration : 0,
+    `Bar ${measureIndex + 1} / ${song.measures.length}`,
+  );
+}
+
+// --- A–B LOOP ---
+// Song time range of the looped measures
+function getLoopRange() {
+  const { measures } = song;
+  const start = measures[loopSettings.startMeasure].time;
+  const end =
+    loopSettings.endMeasure + 1 < measures.length
+      ? measures[loopSettings.endMeasure + 1].time
+      : song.duration;
+  return { start, end };
+}
+
+function createLoopState() {
+  const { start, end } = getLoopRange();
+  return {
+    start,
+    end,
+    // Added to the note times of the pass being spawned
+    spawnOffset: 0,
+    // Song time at which the pass being played ends
+    passEnd: end,
+    isPassClean: true,
+    tempo: 1,
+  };
+}
+
+// Called when a pass through the loop has been played
+function finishLoopPass() {
+  const isClean = loopState.isPassClean;
+  loopState.passEnd += loopState.end - loopState.start;
+  loopState.isPassClean = true;
+  // A hold of the previous pass does not count against the new one
+  waitHoldTime = 0;
+
+  if (!isClean || !loopSettings.isSpeedUp) return;
+  if (loopState.tempo >= MAX_LOOP_TEMPO) return;
+
+  loopState.tempo = Math.min(loopState.tempo + LOOP_TEMPO_STEP, MAX_LOOP_TEMPO);
+  setSongRate(getPlaybackRate() * loopState.tempo);
+  uiRefs.showJudgement({
+    name: `Tempo ${Math.round(loopState.tempo * 100)}%`,
+    color: 0x00ff88,
+  });
+}
+
+function getLoopLabels() {
+  return {
+    isEnabled: loopSettings.isEnabled,
+    isSpeedUp: loopSettings.isSpeedUp,
+    startLabel: `Bar ${loopSettings.startMeasure + 1}`,
+    endLabel: `Bar ${loopSettings.endMeasure + 1}`,
+  };
+}
+
+// Moves the start ("start") or end ("end") measure of the loop
+function moveLoopMeasure(which, delta) {
+  const lastMeasure = song.measures.length - 1;
+  const clamp = (value) => Math.min(Math.max(value, 0), lastMeasure);
+
+  if (which === "start") {
+    loopSettings.startMeasure = clamp(loopSettings.startMeasure + delta);
+    loopSettings.endMeasure = Math.max(
+      loopSettings.endMeasure,
+      loopSettings.startMeasure,
+    );
+  } else {
+    loopSettings.endMeasure = clamp(loopSettings.endMeasure + delta);
+    loopSettings.startMeasure = Math.min(
+      loopSettings.startMeasure,
+      loopSettings.endMeasure,
+    );
+  }
+  return getLoopLabels();
+}
+
 function resetToMenu() {
+  const wasGameActive = isGameActive;
   isGameActive = false;
+  if (wasGameActive) restartTake();
+  setPaused(false);
+  stopScheduler();
+  barLinesGraphic.clear();
+  uiRefs.hudContainer.visible = false;
+  uiRefs.resultsContainer.visible = false;
   uiRefs.menuContainer.visible = true;
   if (uiRefs.titleText) uiRefs.titleText.visible = true;
 }
 
-function spawnNote(noteData, isAccompaniment = false, offsetFrames = 0) {
-  const index = NOTES_DATA.findIndex((n) => n.id === noteData.id);
+// Adds the falling graphic of a song note (see song.js)
+// timeOffset shifts the note in song time (for repeated loop passes)
+function spawnNote(songNote, track, timeOffset = 0) {
+  const index = NOTES_DATA.findIndex((n) => n.id === songNote.id);
   if (index === -1) return;
 
   const targetKey = pianoKeys[index];
   const note = new PIXI.Graphics();
-  const color = targetKey.data.type === "white" ? 0x00ffff : 0xff00ff;
-
-  const width = targetKey.width - 4;
-  // 4. Use getFramesPerBeat() instead of constant
-  const distToNext = noteData.duration * getFramesPerBeat() * SPEED;
-
-  let topOffset = 0;
-  if (distToNext < NOTE_CLEARANCE) {
-    topOffset = NOTE_CLEARANCE - distToNext;
-  }
-  topOffset = Math.min(topOffset, NOTE_HEIGHT - 5);
-  const finalHeight = NOTE_HEIGHT - topOffset;
-
-  note.roundRect(-width / 2, topOffset, width, finalHeight, 4);
-  note.fill(0xffffff);
+  const hand = track === "melody" ? "right" : "left";
+  const color = HAND_COLORS[hand][targetKey.data.type];
+  // Backing notes are played automatically and hidden
+  const isBacking = !isTrackPlayed(track);
+
+  // The bar is as long as the note lasts, up to the next note's start
+  const length = getNoteLength(songNote.duration);
+  note.barWidth = targetKey.width - 4;
+  drawNoteBar(note, length);
   note.tint = color;
 
   note.x = targetKey.x;
-  note.y = -100 + offsetFrames * SPEED;
+  note.y = SPAWN_Y;
   note.targetIndex = index;
   note.active = true;
-  note.id = noteData.id;
-  note.duration = noteData.duration;
+  note.id = songNote.id;
+  // Song time (seconds) at which the note reaches the hit line
+  note.time = songNote.time + timeOffset;
+  note.duration = songNote.duration;
+  note.velocity = songNote.velocity;
   note.originalColor = color;
-  note.isAccompaniment = isAccompaniment;
-
-  if (isAccompaniment) {
+  note.track = track;
+  note.isBacking = isBacking;
+  note.measure = getMeasureIndex(song.measures, songNote.time);
+  note.length = length;
+  // Hold notes stay on the hit line (isHeld) from their hit until their end
+  note.isHold = length > HOLD_MIN_LENGTH;
+  note.isHeld = false;
+
+  if (isBacking) {
     note.visible = false;
   }
+  if (isBacking || isDemoPlaying) {
+    scheduleAutoNote(note);
+  }
 
   notesContainer.addChild(note);
   activeNotes.push(note);
 }
 
-function pressKey(index) {
-  if (!isGameActive && (!uiRefs.loadingText || !uiRefs.loadingText.visible)) {
-    if (parsedMelody.length > 0 && !IS_DEMO_MODE) {
+function getNoteLength(duration) {
+  return Math.max(duration * PIXELS_PER_SECOND - NOTE_GAP, MIN_NOTE_LENGTH);
+}
+
+// Draws a note bar of the given length (px) upwards from NOTE_HEIGHT, the
+// bottom edge that meets the hit line
+function drawNoteBar(note, length) {
+  note.clear();
+  if (length <= 0) return;
+  note.roundRect(
+    -note.barWidth / 2,
+    NOTE_HEIGHT - length,
+    note.barWidth,
+    length,
+    4,
+  );
+  note.fill(0xffffff);
+}
+
+// Y of the top of a note's head (the NOTE_HEIGHT above its bottom edge) at a
+// song time; the bottom edge meets the hit line at the note's start time
+function getNoteY(note, songTime) {
+  const hitLineY = pianoKeys[0].y;
+  return hitLineY - NOTE_HEIGHT - (note.time - songTime) * PIXELS_PER_SECOND;
+}
+
+// Spawns the notes starting up to spawnTime. While looping, spawning wraps
+// around to the loop start once the loop end comes into view.
+function spawnDueNotes(spawnTime) {
+  const offset = loopState ? loopState.spawnOffset : 0;
+  const end = loopState ? loopState.end : Infinity;
+  const isDue = (note) => note.time < end && note.time + offset <= spawnTime;
+
+  while (melodyIndex < song.melody.length && isDue(song.melody[melodyIndex])) {
+    spawnNote(song.melody[melodyIndex], "melody", offset);
+    melodyIndex++;
+  }
+
+  while (
+    accompIndex < song.accompaniment.length &&
+    isDue(song.accompaniment[accompIndex])
+  ) {
+    spawnNote(song.accompaniment[accompIndex], "accompaniment", offset);
+    accompIndex++;
+  }
+
+  // Clicks are scheduled as far ahead as the notes they belong to
+  while (clickIndex < song.clicks.length && isDue(song.clicks[clickIndex])) {
+    const click = song.clicks[clickIndex];
+    if (metronomeSettings.isEnabled) {
+      scheduleSongClick(click.time + offset, click.isAccent);
+    }
+    clickIndex++;
+  }
+
+  // The pedal is played along with the notes that play by themselves
+  for (const track of Object.keys(pedalIndex)) {
+    const changes = song.pedal[track];
+    while (
+      pedalIndex[track] < changes.length &&
+      isDue(changes[pedalIndex[track]])
+    ) {
+      const change = changes[pedalIndex[track]];
+      if (!isTrackPlayed(track) || isDemoPlaying) {
+        scheduleSongSustain(change.time + offset, change.isOn);
+      }
+      pedalIndex[track]++;
+    }
+  }
+
+  if (loopState && loopState.end + offset <= spawnTime) {
+    loopState.spawnOffset += loopState.end - loopState.start;
+    melodyIndex = findNoteIndex(song.melody, loopState.start);
+    accompIndex = findNoteIndex(song.accompaniment, loopState.start);
+    clickIndex = findNoteIndex(song.clicks, loopState.start);
+    setPedalIndex(loopState.start);
+    spawnDueNotes(spawnTime);
+  }
+}
+
+// Draws the measure lines between the hit line and the top of the view
+function drawBarLines(songTime) {
+  barLinesGraphic.clear();
+  const hitLineY = pianoKeys[0].y;
+  const endTime = songTime + getSpawnLeadTime();
+
+  // While looping, the passes on screen repeat the looped measures
+  const passes = [];
+  if (loopState) {
+    const length = loopState.end - loopState.start;
+    for (
+      let offset = loopState.spawnOffset;
+      offset >= 0 && loopState.end + offset >= songTime;
+      offset -= length
+    ) {
+      passes.push({ offset, start: loopState.start, end: loopState.end });
+    }
+  } else {
+    passes.push({ offset: 0, start: 0, end: Infinity });
+  }
+
+  for (const pass of passes) {
+    for (const barLine of song.barLines) {
+      if (barLine.time < pass.start || barLine.time >= pass.end) continue;
+
+      const time = barLine.time + pass.offset;
+      if (time < songTime || time > endTime) continue;
+
+      const y = hitLineY - (time - songTime) * PIXELS_PER_SECOND;
+      barLinesGraphic.rect(0, y - 1, TOTAL_PIANO_WIDTH, 2);
+    }
+  }
+  barLinesGraphic.fill(0x333333);
+}
+
+// How long before its start a note appears at SPAWN_Y
+function getSpawnLeadTime() {
+  const hitLineY = pianoKeys[0].y;
+  return (hitLineY - NOTE_HEIGHT - SPAWN_Y) / PIXELS_PER_SECOND;
+}
+
+function pressKey(index, velocity) {
+  // While recording, the keys play freely outside the game
+  if (
+    !isGameActive &&
+    !currentTake &&
+    (!uiRefs.loadingText || !uiRefs.loadingText.visible)
+  ) {
+    if (song.melody.length > 0 && !IS_DEMO_MODE) {
       resetGame();
     }
     return;
@@ -436,18 +1863,24 @@ function pressKey(index) {
 
   keyObj.graphic.tint = 0xffa500;
 
+  // Quickly cut a note still ringing on the same key
   if (keyObj.audioNode) {
-    stopNote(keyObj.audioNode);
+    stopNote(keyObj.audioNode, 0.05);
   }
-  keyObj.audioNode = playNote(keyObj.data.id);
+  keyObj.audioNode = playNote(
+    keyObj.data.id,
+    velocity,
+    trackInstruments[getPlayerTrack()],
+  );
+  recordNoteOn(index, velocity);
 
-  if (!isGameActive) return;
+  if (!isGameActive || isPaused) return;
 
   const hitLineY = keyObj.y;
   let minGlobalDistance = Infinity;
 
   for (const n of activeNotes) {
-    if (n.active && !n.isAccompaniment) {
+    if (n.active && !n.isBacking) {
       const dist = Math.abs(n.y - hitLineY);
       if (dist < minGlobalDistance) {
         minGlobalDistance = dist;
@@ -463,7 +1896,7 @@ function pressKey(index) {
 
   for (let i = 0; i < activeNotes.length; i++) {
     const n = activeNotes[i];
-    if (n.targetIndex === index && n.active && !n.isAccompaniment) {
+    if (n.targetIndex === index && n.active && !n.isBacking) {
       const dist = Math.abs(n.y - hitLineY);
       if (dist < HIT_ZONE) {
         if (dist <= minGlobalDistance + CHORD_TOLERANCE) {
@@ -477,57 +1910,240 @@ function pressKey(index) {
   }
 
   if (noteToHitIndex !== -1) {
-    const noteToRemove = activeNotes[noteToHitIndex];
+    const hitNote = activeNotes[noteToHitIndex];
+    registerJudgement(judgeHit(hitNote, hitLineY), hitNote);
     showHitEffect(keyObj.x, hitLineY);
-    notesContainer.removeChild(noteToRemove);
-    activeNotes.splice(noteToHitIndex, 1);
+    if (hitNote.isHold) {
+      // Judged again on release (see releaseKey)
+      hitNote.isHeld = true;
+      hitNote.active = false;
+    } else {
+      removeActiveNote(hitNote);
+    }
+  }
+}
+
+// Updates a note that reached the hit line and is being held: the bar
+// shortens into the line until the note ends
+function updateHeldNote(note, songTime) {
+  const hitLineY = pianoKeys[0].y;
+  const endTime = note.time + note.duration;
+  note.y = hitLineY - NOTE_HEIGHT;
+  drawNoteBar(note, (endTime - songTime) * PIXELS_PER_SECOND - NOTE_GAP);
+
+  if (note.isBacking || isDemoPlaying) {
+    if (songTime >= endTime) removeActiveNote(note);
+    return;
+  }
+
+  if (songTime >= endTime) {
+    // The sound rings exactly as long as the note
+    const keyObj = pianoKeys[note.targetIndex];
+    if (keyObj.audioNode) {
+      releaseNote(keyObj.audioNode, "player");
+      keyObj.audioNode = null;
+    }
+  }
+  // Still held long after the end: judged as a late release
+  if ((songTime - endTime) * PIXELS_PER_SECOND > HIT_ZONE) {
+    registerJudgement(judgeRelease(note, songTime), note);
+    removeActiveNote(note);
   }
 }
 
+// Schedules the sound of a note that plays by itself (backing or demo),
+// so it starts exactly when the note reaches the hit line
+function scheduleAutoNote(note) {
+  scheduleSongNote(
+    note.id,
+    note.velocity,
+    trackInstruments[note.track],
+    note.time,
+    Math.max(note.duration, 0.1),
+  );
+}
+
+// Highlights a key played by the demo; the sound is scheduled on spawn
 function autoPlayNote(index, duration) {
   const keyObj = pianoKeys[index];
   if (!keyObj) return;
 
   keyObj.graphic.tint = 0xffa500;
-  const audioNode = playNote(keyObj.data.id);
   showHitEffect(keyObj.x, keyObj.y);
 
-  // 5. Use getCurrentBpm() for audio duration
-  const ms = duration * (30000 / getCurrentBpm());
+  // duration is in song seconds, which pass slower at a lower tempo
+  const ms = (duration * 1000) / getPlaybackRate();
   const playDuration = Math.max(ms, 100);
 
   setTimeout(() => {
     keyObj.graphic.tint = keyObj.originalColor;
-    if (audioNode) {
-      stopNote(audioNode, 1.0);
-    }
   }, playDuration);
 }
 
-function playBackingNote(index, duration) {
-  const keyObj = pianoKeys[index];
-  if (!keyObj) return;
-  const audioNode = playNote(keyObj.data.id);
-  if (audioNode) {
-    // 6. Use getCurrentBpm() for audio duration
-    const ms = duration * (30000 / getCurrentBpm());
-    const playDuration = Math.max(ms, 100);
-    setTimeout(() => {
-      stopNote(audioNode, 1.0);
-    }, playDuration);
-  }
-}
-
 function releaseKey(index) {
   const keyObj = pianoKeys[index];
   if (!keyObj) return;
   keyObj.graphic.tint = keyObj.originalColor;
+  recordNoteOff(index);
+
+  if (isGameActive && !isPaused && !isDemoPlaying) {
+    const heldNote = activeNotes.find(
+      (n) => n.isHeld && !n.isBacking && n.targetIndex === index,
+    );
+    if (heldNote) {
+      registerJudgement(judgeRelease(heldNote, getSongTime()), heldNote);
+      removeActiveNote(heldNote);
+    }
+  }
+
   if (keyObj.audioNode) {
-    stopNote(keyObj.audioNode, 1.0);
+    releaseNote(keyObj.audioNode, "player");
     keyObj.audioNode = null;
   }
 }
 
+// Player's sustain pedal (MIDI CC64, space bar or the on-screen pedal)
+function setPlayerSustain(isOn) {
+  setSustain("player", isOn);
+  recordSustain(isOn);
+  if (uiRefs.setSustainIndicator) uiRefs.setSustainIndicator(isOn);
+}
+
+// --- COMPUTER KEYBOARD INPUT ---
+/**
+ * Returns the index of the C key closest to the left edge of the camera,
+ * so the keyboard mapping follows the visible part of the piano.
+ */
+function getKeyboardBaseIndex() {
+  const leftEdgeX = -targetCameraX;
+  let baseIndex = 0;
+  let minDistance = Infinity;
+
+  pianoKeys.forEach((keyObj, index) => {
+    if (keyObj.data.id.replace(/\d+$/, "") !== "C") return;
+    const keyLeftX = keyObj.x - keyObj.width / 2;
+    const distance = Math.abs(keyLeftX - leftEdgeX);
+    if (distance < minDistance) {
+      minDistance = distance;
+      baseIndex = index;
+    }
+  });
+
+  return baseIndex;
+}
+
+function loadKeyMap() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_MAP_STORAGE_KEY));
+    if (saved) {
+      const merged = { ...DEFAULT_KEY_MAP, ...saved };
+      if (!validateKeyMap(merged)) keyMap = merged;
+    }
+  } catch (e) {
+    // keep defaults on malformed storage
+  }
+}
+
+/**
+ * Lets the player remap the computer keyboard. Keys are named by their
+ * character on a US QWERTY keyboard and matched by position.
+ */
+function editKeyMap() {
+  const whiteKeys = prompt(
+    "White keys, from C upwards (one character per key):",
+    keyMap.whiteKeys,
+  );
+  if (whiteKeys === null) return;
+  const blackKeys = prompt(
+    "Black keys, each under the white key it follows (space where there is none):",
+    keyMap.blackKeys,
+  );
+  if (blackKeys === null) return;
+  const octaveKeys = prompt(
+    "Octave down and octave up keys:",
+    keyMap.octaveDown + keyMap.octaveUp,
+  );
+  if (octaveKeys === null) return;
+
+  const newKeyMap = {
+    ...keyMap,
+    whiteKeys: whiteKeys.toLowerCase(),
+    blackKeys: blackKeys.toLowerCase(),
+    octaveDown: octaveKeys.charAt(0).toLowerCase(),
+    octaveUp: octaveKeys.charAt(1).toLowerCase(),
+  };
+  const error =
+    octaveKeys.length !== 2
+      ? "Enter exactly two octave keys."
+      : validateKeyMap(newKeyMap);
+  if (error) {
+    alert(`Keyboard mapping not changed: ${error}`);
+    return;
+  }
+
+  keyMap = newKeyMap;
+  keyboardInput.setKeyMap(keyMap);
+  localStorage.setItem(KEY_MAP_STORAGE_KEY, JSON.stringify(keyMap));
+}
+
+function initComputerKeyboard() {
+  window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") togglePause();
+  });
+
+  loadKeyMap();
+  keyboardInput = initKeyboardInput(
+    {
+      getBaseIndex: getKeyboardBaseIndex,
+      onPress: (index) => {
+        if (pianoKeys[index]) pressKey(index);
+      },
+      onRelease: (index) => {
+        if (pianoKeys[index]) releaseKey(index);
+      },
+      onSustainChange: setPlayerSustain,
+    },
+    keyMap,
+  );
+}
+
+// --- MIDI INPUT ---
+function midiToKeyIndex(midiNote) {
+  const index = midiNote - noteNameToMidi(START_NOTE);
+  if (index < 0 || index >= NOTES_DATA.length) return -1;
+  return index;
+}
+
+async function toggleMidiInput() {
+  if (isMidiInputEnabled) {
+    disableMidiInput();
+    isMidiInputEnabled = false;
+    uiRefs.setMidiDevices(null);
+    return false;
+  }
+
+  try {
+    const deviceNames = await enableMidiInput({
+      onNoteOn: (midiNote, velocity) => {
+        const index = midiToKeyIndex(midiNote);
+        if (index !== -1) pressKey(index, velocity);
+      },
+      onNoteOff: (midiNote) => {
+        const index = midiToKeyIndex(midiNote);
+        if (index !== -1) releaseKey(index);
+      },
+      onSustainChange: setPlayerSustain,
+      onDevicesChange: (names) => uiRefs.setMidiDevices(names),
+    });
+    isMidiInputEnabled = true;
+    uiRefs.setMidiDevices(deviceNames);
+  } catch (err) {
+    console.error(err);
+    alert("Failed to access MIDI devices.");
+  }
+  return isMidiInputEnabled;
+}
+
 function showHitEffect(x, y) {
   const burst = new PIXI.Graphics();
   burst.circle(0, 0, 30);
@@ -560,7 +2176,7 @@ function updateCamera() {
     let bottomNote = null;
 
     for (const n of activeNotes) {
-      if (n.y > maxY && !n.isAccompaniment) {
+      if (n.y > maxY && !n.isBacking) {
         maxY = n.y;
         bottomNote = n;
       }
@@ -569,12 +2185,18 @@ function updateCamera() {
       relevantKeyX = bottomNote.x;
     }
   } else {
-    const isMelodyActive = selectedTrackType === "melody";
-    const currentList = isMelodyActive ? parsedMelody : parsedAccompaniment;
-    const currentIndex = isMelodyActive ? melodyIndex : accompIndex;
+    // Next note to spawn among the played tracks
+    const candidates = [];
+    if (isTrackPlayed("melody")) candidates.push(song.melody[melodyIndex]);
+    if (isTrackPlayed("accompaniment")) {
+      candidates.push(song.accompaniment[accompIndex]);
+    }
+    const nextNote = candidates
+      .filter(Boolean)
+      .sort((a, b) => a.time - b.time)[0];
 
-    if (currentList.length > 0 && currentIndex < currentList.length) {
-      const noteId = currentList[currentIndex].id;
+    if (nextNote) {
+      const noteId = nextNote.id;
       const keyData = pianoKeys.find((k) => k.data.id === noteId);
       if (keyData) {
         relevantKeyX = keyData.x;
@@ -631,14 +2253,45 @@ async function initGame() {
   app.stage.addChild(gameContainer);
 
   gameContainer.addChild(worldContainer);
+  worldContainer.addChild(barLinesGraphic);
   worldContainer.addChild(notesContainer);
   worldContainer.addChild(keysContainer);
   gameContainer.addChild(uiContainer);
 
-  parsedMelody = parseABC(getMelody());
-  parsedAccompaniment = parseABC(getAccompaniment());
+  for (const record of await getSavedInstruments()) {
+    registerInstrument(record);
+  }
+  loadInstrumentPreferences();
+  tempoPercent = getInitialTempoPercent();
+  loadMetronomeSettings();
+
+  song = createSong({
+    melody: parseABC(getMelody()),
+    accompaniment: parseABC(getAccompaniment()),
+    bpm: ORIGINAL_BPM,
+    tempos: TEMPO_CHANGES,
+    meters: METER_CHANGES,
+  });
+  // Without an accompaniment there is no left hand part
+  if (song.accompaniment.length === 0) handsMode = "right";
+  loopSettings.endMeasure = Math.max(
+    Math.min(loopSettings.endMeasure, song.measures.length - 1),
+    0,
+  );
+
+  // Every opened or imported song goes to the library
+  if (song.melody.length > 0 && !IS_DEMO_MODE) {
+    saveLibrarySong({
+      id: getSongKey(),
+      title: getTitle() || "Untitled",
+      params: getSongUrlParams(),
+      bpm: ORIGINAL_BPM,
+      duration: song.duration,
+    });
+  }
 
   createPiano();
+  initComputerKeyboard();
 
   // Initialize UI via external module
   uiRefs = initUI(
@@ -647,14 +2300,20 @@ async function initGame() {
     {
       title: getTitle(),
       isDemoMode: IS_DEMO_MODE,
-      hasMelody: parsedMelody.length > 0,
-      hasAccompaniment: parsedAccompaniment.length > 0,
+      hasMelody: song.melody.length > 0,
+      hasAccompaniment: song.accompaniment.length > 0,
       initialWaitMode: isWaitMode,
-      initialSpeedMode: isHalfSpeed,
+      tempoLabels: getTempoLabels(),
+      metronomeLabels: getMetronomeLabels(),
+      handsLabel: getHandsLabel(),
+      loopLabels: getLoopLabels(),
+      isMidiSupported: isMidiSupported(),
+      instrumentNames: getInstrumentNames(),
     },
     {
       onPlay: resetGame,
       onDemoStart: startDemo,
+      onResultsClose: resetToMenu,
       onLoad: () => {
         // Clear value so 'change' event fires even if same file is selected
         fileInput.value = "";
@@ -664,13 +2323,78 @@ async function initGame() {
         isWaitMode = !isWaitMode;
         return isWaitMode;
       },
-      onToggleSpeed: () => {
-        isHalfSpeed = !isHalfSpeed;
-        return isHalfSpeed;
+      onTempoChange: setTempoPercent,
+      onToggleMetronome: () => {
+        metronomeSettings.isEnabled = !metronomeSettings.isEnabled;
+        return saveMetronomeSettings();
+      },
+      onCycleCountIn: () => {
+        const { countInBars } = metronomeSettings;
+        metronomeSettings.countInBars =
+          COUNT_IN_OPTIONS[
+            (COUNT_IN_OPTIONS.indexOf(countInBars) + 1) %
+              COUNT_IN_OPTIONS.length
+          ];
+        return saveMetronomeSettings();
+      },
+      onCycleHands: cycleHandsMode,
+      onLoopMeasureChange: moveLoopMeasure,
+      onToggleLoop: () => {
+        loopSettings.isEnabled = !loopSettings.isEnabled;
+        return getLoopLabels();
+      },
+      onToggleLoopSpeedUp: () => {
+        loopSettings.isSpeedUp = !loopSettings.isSpeedUp;
+        return getLoopLabels();
+      },
+      onStop: finishSong,
+      onTogglePause: togglePause,
+      onSeek: seekTo,
+      onToggleMidi: toggleMidiInput,
+      onCycleInstrument: cycleTrackInstrument,
+      onSustainChange: setPlayerSustain,
+      onEditKeyMap: editKeyMap,
+      onLoadSamplePack: (isFolder) => {
+        const input = isFolder ? packFolderInput : packInput;
+        // Clear value so 'change' event fires even if same file is selected
+        input.value = "";
+        input.click();
+      },
+      onCycleTrackRole: cycleTrackRole,
+      onPreviewTrack: toggleTrackPreview,
+      onCycleSplit: cycleSplitPoint,
+      onImportConfirm: confirmImport,
+      onImportCancel: cancelImport,
+      onOpenLibrary: openLibrary,
+      onLibraryOpenSong: openLibrarySong,
+      onLibraryRename: renameLibrarySong,
+      onLibraryToggleFavorite: toggleLibraryFavorite,
+      onLibraryDelete: removeLibrarySong,
+      onLibraryClose: closeLibrary,
+      onLibraryShowHistory: (index) => {
+        const record = librarySongs[index];
+        showSongHistory(record.id, record.title);
+      },
+      onShowHistory: () => showSongHistory(getSongKey(), getTitle()),
+      onExportMidi: exportMidiFile,
+      onExportWav: exportWavFile,
+      onToggleRecording: toggleRecording,
+      onToggleReplay: toggleReplay,
+      onDownloadTake: downloadTake,
+      onRecordingClose: () => {
+        stopReplay();
+        updateRecordingState();
       },
       onShare: async () => {
-        let url = window.location.href;
-        url = url.replace(/%7E/g, "~");
+        let url = getShareUrl();
+        url = url
+          .replace(/%7E/g, "~")
+          .replace(/%21/g, "!")
+          .replace(/%28/g, "(")
+          .replace(/%29/g, ")")
+          .replace(/%3A/g, ":")
+          .replace(/%2C/g, ",")
+          .replace(/%2F/g, "/");
         if (navigator.share) {
           try {
             await navigator.share({
@@ -689,6 +2413,7 @@ async function initGame() {
     },
   );
 
+  updateRecordingState();
   alignCameraToActiveTrack();
 
   const resize = () => {
@@ -716,129 +2441,104 @@ async function initGame() {
   app.renderer.on("resize", resize);
   resize();
 
-  await cacheAllNoteSounds();
+  await Promise.all(
+    Object.values(trackInstruments).map((id) => loadInstrument(id)),
+  );
 
   uiRefs.loadingText.visible = false;
   uiRefs.menuContainer.visible = true;
+  if (uiRefs.pedalButton) uiRefs.pedalButton.visible = true;
 
-  app.ticker.add((ticker) => {
+  app.ticker.add(() => {
     updateCamera();
 
     if (!isGameActive) return;
 
-    let effectiveDelta = ticker.deltaTime;
-
-    if (isHalfSpeed) {
-      effectiveDelta *= 0.5;
-    }
-
-    if (isWaitMode && !isDemoPlaying && activeNotes.length > 0) {
-      const hitLineY = pianoKeys[0].y;
-      const stopY = hitLineY - NOTE_HEIGHT;
-      let minDistance = Infinity;
+    let songTime = getSongTime();
 
+    // Wait mode: hold the song clock while a melody note waits at the line
+    if (isWaitMode && !isDemoPlaying) {
+      let waitTime = Infinity;
       for (const n of activeNotes) {
-        if (!n.isAccompaniment) {
-          const dist = stopY - n.y;
-          if (dist < minDistance) {
-            minDistance = dist;
-          }
+        if (n.active && !n.isBacking && n.time < waitTime) {
+          waitTime = n.time;
         }
       }
 
-      if (minDistance < 0) minDistance = 0;
-      const maxAllowedDelta = minDistance / SPEED;
-
-      if (maxAllowedDelta < effectiveDelta) {
-        effectiveDelta = maxAllowedDelta;
-      }
-    }
-
-    const isMelodyInteractive = selectedTrackType === "melody";
-
-    if (parsedMelody.length > 0 && melodyIndex < parsedMelody.length) {
-      timeSinceLastNote += effectiveDelta;
-
-      while (
-        timeSinceLastNote >= timeUntilNextNote &&
-        melodyIndex < parsedMelody.length
-      ) {
-        timeSinceLastNote -= timeUntilNextNote;
-        const noteData = parsedMelody[melodyIndex];
-        if (noteData.id !== null) {
-          spawnNote(noteData, !isMelodyInteractive, timeSinceLastNote);
+      if (waitTime < songTime) {
+        waitHoldTime += songTime - waitTime;
+        songTime = waitTime;
+        // Waiting longer than a late hit would be allowed (the hit zone)
+        // means the loop pass was not clean
+        if (loopState && waitHoldTime * PIXELS_PER_SECOND > HIT_ZONE) {
+          loopState.isPassClean = false;
         }
-        // 7. Use getFramesPerBeat() for loop logic
-        timeUntilNextNote = noteData.duration * getFramesPerBeat();
-        melodyIndex++;
-        if (timeUntilNextNote <= 0) timeUntilNextNote = 0.1;
+        // Scheduled sounds wait as well
+        setSongTime(songTime);
+      } else {
+        waitHoldTime = 0;
       }
     }
 
-    if (
-      parsedAccompaniment.length > 0 &&
-      accompIndex < parsedAccompaniment.length
-    ) {
-      timeSinceLastAccomp += effectiveDelta;
-
-      while (
-        timeSinceLastAccomp >= timeUntilNextAccomp &&
-        accompIndex < parsedAccompaniment.length
-      ) {
-        timeSinceLastAccomp -= timeUntilNextAccomp;
-        const noteData = parsedAccompaniment[accompIndex];
-        if (noteData.id !== null) {
-          spawnNote(noteData, isMelodyInteractive, timeSinceLastAccomp);
-        }
-        // 8. Use getFramesPerBeat() for loop logic
-        timeUntilNextAccomp = noteData.duration * getFramesPerBeat();
-        accompIndex++;
-        if (timeUntilNextAccomp <= 0) timeUntilNextAccomp = 0.1;
-      }
+    spawnDueNotes(songTime + getSpawnLeadTime());
+    if (!isDemoPlaying) updateProgress(songTime);
+
+    if (loopState && songTime >= loopState.passEnd) {
+      finishLoopPass();
     }
 
-    const melodyEnded = melodyIndex >= parsedMelody.length;
-    const accompEnded =
-      parsedAccompaniment.length === 0 ||
-      accompIndex >= parsedAccompaniment.length;
+    const melodyEnded = melodyIndex >= song.melody.length;
+    const accompEnded = accompIndex >= song.accompaniment.length;
 
-    if (parsedMelody.length > 0 && melodyEnded && accompEnded) {
+    if (song.melody.length > 0 && melodyEnded && accompEnded) {
       if (activeNotes.length === 0 && !isSongFinished) {
         isSongFinished = true;
-        setTimeout(() => {
-          resetToMenu();
+        finishTimer = setTimeout(() => {
+          finishSong();
         }, 1500);
       }
     }
 
+    drawBarLines(songTime);
     const hitLineY = pianoKeys[0].y;
 
     for (let i = activeNotes.length - 1; i >= 0; i--) {
       const n = activeNotes[i];
-      n.y += SPEED * effectiveDelta;
+      if (n.isHeld) {
+        updateHeldNote(n, songTime);
+        continue;
+      }
+      n.y = getNoteY(n, songTime);
 
-      if (n.isAccompaniment) {
-        if (n.y + NOTE_HEIGHT >= hitLineY) {
-          playBackingNote(n.targetIndex, n.duration);
-          notesContainer.removeChild(n);
-          activeNotes.splice(i, 1);
-        }
+      if (n.isBacking) {
+        if (songTime >= n.time) removeActiveNote(n);
         continue;
       }
 
       if (isDemoPlaying) {
-        if (n.y + NOTE_HEIGHT >= hitLineY) {
+        if (songTime >= n.time) {
           autoPlayNote(n.targetIndex, n.duration);
-          notesContainer.removeChild(n);
-          activeNotes.splice(i, 1);
+          if (n.isHold) {
+            n.isHeld = true;
+            n.active = false;
+          } else {
+            removeActiveNote(n);
+          }
         }
       } else {
+        // Missed notes fall out of view behind the keys
+        if (!n.active) {
+          if (n.y + NOTE_HEIGHT - n.length > HEIGHT) removeActiveNote(n);
+          continue;
+        }
+
         n.tint = n.originalColor;
         const missThreshold = hitLineY + 20;
 
         if (n.y > missThreshold) {
-          notesContainer.removeChild(n);
-          activeNotes.splice(i, 1);
+          registerJudgement(MISS_JUDGEMENT, n);
+          n.active = false;
+          n.alpha = 0.3;
           continue;
         }
 
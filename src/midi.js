@@ -0,0 +1,87 @@
+// Web MIDI input state
+let midiAccess = null;
+let handlers = {};
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const SUSTAIN_PEDAL = 64;
+
+function isMidiSupported() {
+  return typeof navigator !== "undefined" && !!navigator.requestMIDIAccess;
+}
+
+function getMidiInputNames() {
+  if (!midiAccess) return [];
+  return [...midiAccess.inputs.values()]
+    .filter((input) => input.state === "connected")
+    .map((input) => input.name || "Unknown device");
+}
+
+function handleMidiMessage(event) {
+  const [status, data1, data2] = event.data;
+  const command = status & 0xf0;
+
+  // Note On with velocity 0 is a Note Off by convention
+  if (command === NOTE_ON && data2 > 0) {
+    if (handlers.onNoteOn) handlers.onNoteOn(data1, data2);
+  } else if (command === NOTE_OFF || command === NOTE_ON) {
+    if (handlers.onNoteOff) handlers.onNoteOff(data1);
+  } else if (command === CONTROL_CHANGE && data1 === SUSTAIN_PEDAL) {
+    // Values of 64 and above mean the pedal is down
+    if (handlers.onSustainChange) handlers.onSustainChange(data2 >= 64);
+  }
+}
+
+function attachInputs() {
+  for (const input of midiAccess.inputs.values()) {
+    input.onmidimessage = handleMidiMessage;
+  }
+}
+
+function detachInputs() {
+  for (const input of midiAccess.inputs.values()) {
+    input.onmidimessage = null;
+  }
+}
+
+function handleStateChange() {
+  // Newly plugged devices need a message handler too
+  attachInputs();
+  if (handlers.onDevicesChange) handlers.onDevicesChange(getMidiInputNames());
+}
+
+/**
+ * Requests Web MIDI access and routes messages from all input devices.
+ * @param {Object} callbacks - { onNoteOn(midi, velocity), onNoteOff(midi),
+ *   onSustainChange(isOn), onDevicesChange(names) }
+ * @returns {Promise<string[]>} Names of the connected input devices
+ */
+async function enableMidiInput(callbacks) {
+  if (!isMidiSupported()) {
+    throw new Error("Web MIDI is not supported in this browser.");
+  }
+
+  handlers = callbacks;
+  if (!midiAccess) {
+    midiAccess = await navigator.requestMIDIAccess();
+  }
+  midiAccess.onstatechange = handleStateChange;
+  attachInputs();
+
+  return getMidiInputNames();
+}
+
+function disableMidiInput() {
+  if (!midiAccess) return;
+  midiAccess.onstatechange = null;
+  detachInputs();
+  handlers = {};
+}
+
+export {
+  isMidiSupported,
+  enableMidiInput,
+  disableMidiInput,
+  getMidiInputNames,
+};
@@ -0,0 +1,564 @@
+/**
+ * MusicXML import (.musicxml, .xml and compressed .mxl files).
+ *
+ * The score is read into the shape of a @tonejs/midi Midi (header with ppq,
+ * tempos and time signatures; tracks with notes and sustain pedal changes),
+ * one track per part and staff, so the import dialog and the ABC conversion
+ * of converter.js work on it unchanged. Ticks are chosen so every duration of
+ * the file is a whole number of them, which keeps tuplets exact. Repeats and
+ * their endings are played out; D.C., D.S. and coda jumps are not.
+ */
+import { unzipSync } from "fflate";
+import { DYNAMICS } from "./parser";
+import {
+  readScoreTracks,
+  getDefaultTrackRoles,
+  convertScoreToUrlData,
+} from "./converter";
+
+// File names handled here instead of the MIDI reader
+export const MUSICXML_FILE_PATTERN = /\.(musicxml|xml|mxl)$/i;
+
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Tempo until the first tempo mark, as in MIDI files
+const DEFAULT_BPM = 120;
+// Repeats are played out up to this many times the written measures
+const MAX_REPEATED_LENGTH = 16;
+
+// Velocity of the notes before the first dynamics mark
+const DEFAULT_VELOCITY = DYNAMICS.mf;
+// <sound dynamics> is a percentage of the velocity of forte
+const FORTE_VELOCITY = 90;
+
+const HAND_NAMES = { right: "right hand", left: "left hand" };
+
+function getChild(element, name) {
+  for (const child of element.children) {
+    if (child.tagName === name) return child;
+  }
+  return null;
+}
+
+function getChildren(element, name) {
+  return [...element.children].filter((child) => child.tagName === name);
+}
+
+function getChildText(element, name) {
+  const child = getChild(element, name);
+  return child ? child.textContent.trim() : null;
+}
+
+function getChildNumber(element, name, fallback) {
+  const value = parseFloat(getChildText(element, name));
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+function leastCommonMultiple(a, b) {
+  return (a * b) / greatestCommonDivisor(a, b);
+}
+
+function decodeText(bytes) {
+  // Some notation programs write UTF-16 with a byte order mark
+  let encoding = "utf-8";
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) encoding = "utf-16le";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) encoding = "utf-16be";
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("The file is not valid XML.");
+  }
+  return doc;
+}
+
+/**
+ * Finds the score in a compressed .mxl file: the root file named in
+ * META-INF/container.xml, or else the first MusicXML file of the archive.
+ */
+function readCompressedScore(bytes) {
+  const files = unzipSync(bytes);
+  const container = files["META-INF/container.xml"];
+
+  let path = null;
+  if (container) {
+    const rootfile = parseXml(decodeText(container)).querySelector("rootfile");
+    path = rootfile && rootfile.getAttribute("full-path");
+  }
+  if (!path || !files[path]) {
+    path = Object.keys(files).find(
+      (name) =>
+        !name.startsWith("META-INF/") && /\.(xml|musicxml)$/i.test(name),
+    );
+  }
+  if (!path) throw new Error("No score found in the MXL file.");
+
+  return decodeText(files[path]);
+}
+
+/**
+ * Sounding pitch of a <note> as a MIDI number, or null for rests and
+ * unpitched (percussion) notes.
+ */
+function getNoteMidi(noteElement, transposeSemitones) {
+  const pitch = getChild(noteElement, "pitch");
+  if (!pitch) return null;
+
+  const step = STEP_SEMITONES[getChildText(pitch, "step")];
+  const octave = getChildNumber(pitch, "octave", 4);
+  // Microtonal alterations are rounded to the nearest key
+  const alter = Math.round(getChildNumber(pitch, "alter", 0));
+  return (octave + 1) * 12 + step + alter + transposeSemitones;
+}
+
+function getTieTypes(noteElement) {
+  return getChildren(noteElement, "tie").map((tie) => tie.getAttribute("type"));
+}
+
+/**
+ * Reads the directions that matter for playback: tempo and dynamics from
+ * <sound>, dynamics marks and the sustain pedal.
+ * @returns {Object} { bpm, velocity, pedal: [isDown, ...] } (only the
+ *   fields found)
+ */
+function readDirection(element) {
+  const result = { pedal: [] };
+  const sounds =
+    element.tagName === "sound" ? [element] : getChildren(element, "sound");
+
+  for (const sound of sounds) {
+    const tempo = parseFloat(sound.getAttribute("tempo"));
+    if (tempo > 0) result.bpm = tempo;
+    const dynamics = parseFloat(sound.getAttribute("dynamics"));
+    if (dynamics >= 0) {
+      result.velocity = Math.min(127, (dynamics / 100) * FORTE_VELOCITY);
+    }
+  }
+
+  for (const directionType of getChildren(element, "direction-type")) {
+    const dynamics = getChild(directionType, "dynamics");
+    // An explicit <sound dynamics> wins over the mark
+    if (dynamics && result.velocity === undefined) {
+      for (const mark of dynamics.children) {
+        if (DYNAMICS[mark.tagName] !== undefined) {
+          result.velocity = DYNAMICS[mark.tagName];
+        }
+      }
+    }
+
+    const pedal = getChild(directionType, "pedal");
+    if (pedal) {
+      const type = pedal.getAttribute("type");
+      if (type === "start") result.pedal.push(true);
+      if (type === "stop") result.pedal.push(false);
+      // A pedal change lifts and presses again
+      if (type === "change") result.pedal.push(false, true);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reads the repeat signs and volta brackets of a measure's barlines.
+ * @returns {Object} { isForward, backwardTimes, endingStart, isEndingEnd }
+ *   backwardTimes is how often the section is played (0 without a backward
+ *   repeat) and endingStart the numbers of an ending starting here
+ */
+function readBarlines(measure) {
+  const result = {
+    isForward: false,
+    backwardTimes: 0,
+    endingStart: null,
+    isEndingEnd: false,
+  };
+
+  for (const barline of getChildren(measure, "barline")) {
+    const repeat = getChild(barline, "repeat");
+    if (repeat && repeat.getAttribute("direction") === "forward") {
+      result.isForward = true;
+    }
+    if (repeat && repeat.getAttribute("direction") === "backward") {
+      result.backwardTimes = parseInt(repeat.getAttribute("times")) || 2;
+    }
+
+    const ending = getChild(barline, "ending");
+    if (ending && ending.getAttribute("type") === "start") {
+      result.endingStart = (ending.getAttribute("number") || "1")
+        .split(/[\s,]+/)
+        .map((number) => parseInt(number))
+        .filter((number) => number > 0);
+    } else if (ending) {
+      // "stop" and "discontinue" end the bracket after this measure
+      result.isEndingEnd = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Plays out the repeats of a part: the indexes of its measures in the order
+ * they are played. A backward repeat goes back to the last forward repeat, or
+ * to the end of the previous repeated section; ending brackets are played on
+ * the passes of their numbers.
+ */
+function getMeasureOrder(measures) {
+  const order = [];
+  const maxLength = measures.length * MAX_REPEATED_LENGTH;
+  let sectionStart = 0;
+  let pass = 1;
+  let ending = null;
+  // Index of the backward repeat of the section; its endings can follow it,
+  // still on the last pass, and the next section starts after them
+  let sectionEnd = -1;
+
+  let i = 0;
+  while (i < measures.length && order.length < maxLength) {
+    const barlines = readBarlines(measures[i]);
+
+    if (barlines.endingStart) ending = barlines.endingStart;
+    if (
+      (barlines.isForward && i !== sectionStart) ||
+      (!ending && sectionEnd !== -1 && i > sectionEnd)
+    ) {
+      sectionStart = i;
+      pass = 1;
+      sectionEnd = -1;
+    }
+
+    const isPlayed = !ending || ending.includes(pass);
+    if (isPlayed) order.push(i);
+    if (barlines.isEndingEnd) ending = null;
+
+    if (isPlayed && barlines.backwardTimes > 0) {
+      sectionEnd = i;
+      if (pass < barlines.backwardTimes) {
+        pass++;
+        ending = null;
+        i = sectionStart;
+        continue;
+      }
+    }
+    i++;
+  }
+
+  return order;
+}
+
+/**
+ * Tells whether a score has D.C., D.S. or coda jumps, which are not followed.
+ */
+function hasJumps(doc) {
+  return [...doc.getElementsByTagName("sound")].some(
+    (sound) =>
+      sound.getAttribute("dacapo") === "yes" ||
+      sound.getAttribute("dalsegno") ||
+      sound.getAttribute("tocoda"),
+  );
+}
+
+/**
+ * Reads one <part> into a track per staff.
+ * @param {Element} part
+ * @param {number[]} measureOrder - Indexes of the measures as they are played
+ *   (see getMeasureOrder)
+ * @param {number} ppq - Ticks per quarter note for the whole score
+ * @param {Object} header - Collects tempos (and, from the first part, the
+ *   time signatures)
+ * @returns {Object[]} Tracks { staff, hand, notes, pedal }
+ */
+function readPart(part, measureOrder, ppq, header, isFirstPart) {
+  const staves = new Map();
+  const getStaff = (number) => {
+    if (!staves.has(number)) {
+      staves.set(number, { staff: number, hand: null, notes: [], pedal: [] });
+    }
+    return staves.get(number);
+  };
+
+  let divisions = 1;
+  let transposeSemitones = 0;
+  let velocity = DEFAULT_VELOCITY;
+  // Tied notes waiting for their continuation, by staff and pitch
+  const tiedNotes = new Map();
+
+  const measures = getChildren(part, "measure");
+  let measureStart = 0;
+  for (const measure of measureOrder.map((index) => measures[index])) {
+    if (!measure) continue;
+    let position = measureStart;
+    let measureEnd = measureStart;
+    let lastNoteStart = measureStart;
+    const toTicks = (duration) => Math.round((duration * ppq) / divisions);
+
+    for (const element of measure.children) {
+      if (element.tagName === "attributes") {
+        divisions = getChildNumber(element, "divisions", divisions);
+
+        const transpose = getChild(element, "transpose");
+        if (transpose) {
+          transposeSemitones =
+            getChildNumber(transpose, "chromatic", 0) +
+            getChildNumber(transpose, "octave-change", 0) * 12;
+        }
+
+        // The first clef of a staff tells the hand; later clef changes
+        // (e.g. the left hand moving up) do not
+        for (const clef of getChildren(element, "clef")) {
+          const staff = getStaff(parseInt(clef.getAttribute("number")) || 1);
+          const sign = getChildText(clef, "sign");
+          if (staff.hand !== null || staff.notes.length > 0) continue;
+          if (sign === "G") staff.hand = "right";
+          if (sign === "F") staff.hand = "left";
+        }
+
+        const time = getChild(element, "time");
+        if (time && isFirstPart && getChild(time, "beats")) {
+          // Compound signatures like 3+2/8 count their beats together
+          const numerator = getChildText(time, "beats")
+            .split("+")
+            .reduce((sum, beats) => sum + parseInt(beats), 0);
+          const denominator = parseInt(getChildText(time, "beat-type"));
+          if (numerator > 0 && denominator > 0) {
+            header.timeSignatures.push({
+              ticks: position,
+              timeSignature: [numerator, denominator],
+            });
+          }
+        }
+      } else if (
+        element.tagName === "direction" ||
+        element.tagName === "sound"
+      ) {
+        const direction = readDirection(element);
+        if (direction.bpm) {
+          header.tempos.push({ ticks: position, bpm: direction.bpm });
+        }
+        if (direction.velocity !== undefined) velocity = direction.velocity;
+        // The pedal holds every staff of the part
+        for (const isDown of direction.pedal) {
+          for (const staff of staves.size > 0
+            ? staves.values()
+            : [getStaff(1)]) {
+            staff.pedal.push({ ticks: position, value: isDown ? 1 : 0 });
+          }
+        }
+      } else if (element.tagName === "backup") {
+        position -= toTicks(getChildNumber(element, "duration", 0));
+      } else if (element.tagName === "forward") {
+        position += toTicks(getChildNumber(element, "duration", 0));
+      } else if (element.tagName === "note") {
+        // Grace and cue notes take no time of their own
+        if (getChild(element, "grace") || getChild(element, "cue")) continue;
+
+        const duration = toTicks(getChildNumber(element, "duration", 0));
+        let start = position;
+        if (getChild(element, "chord")) {
+          start = lastNoteStart;
+        } else {
+          lastNoteStart = position;
+          position += duration;
+        }
+        measureEnd = Math.max(measureEnd, start + duration);
+
+        const midi = getNoteMidi(element, transposeSemitones);
+        if (midi === null) continue;
+
+        const staff = getStaff(getChildNumber(element, "staff", 1));
+        const tieKey = `${staff.staff}:${midi}`;
+        const tieTypes = getTieTypes(element);
+        const tiedNote = tiedNotes.get(tieKey);
+
+        if (tieTypes.includes("stop") && tiedNote) {
+          // Continuation of a tied note: it only lengthens the first one
+          tiedNote.durationTicks = start + duration - tiedNote.ticks;
+          if (!tieTypes.includes("start")) tiedNotes.delete(tieKey);
+          continue;
+        }
+
+        const note = {
+          midi,
+          ticks: start,
+          durationTicks: duration,
+          velocity: velocity / 127,
+        };
+        staff.notes.push(note);
+        if (tieTypes.includes("start")) tiedNotes.set(tieKey, note);
+      }
+    }
+
+    // Pickup and irregular measures are as long as their contents
+    measureStart = Math.max(measureEnd, position);
+  }
+
+  return [...staves.values()].sort((a, b) => a.staff - b.staff);
+}
+
+/**
+ * Adds times in seconds to the notes, for the previews of the import dialog.
+ * @param {Object[]} tempos - Sorted by ticks, the first one at tick 0
+ */
+function addNoteTimes(tracks, tempos, ppq) {
+  const segments = [];
+  let time = 0;
+  let last = tempos[0];
+  for (const tempo of tempos) {
+    time += ((tempo.ticks - last.ticks) / ppq) * (60 / last.bpm);
+    last = tempo;
+    segments.push({ ...tempo, time });
+  }
+
+  const ticksToSeconds = (ticks) => {
+    let segment = segments[0];
+    for (const candidate of segments) {
+      if (candidate.ticks > ticks) break;
+      segment = candidate;
+    }
+    return segment.time + ((ticks - segment.ticks) / ppq) * (60 / segment.bpm);
+  };
+
+  for (const track of tracks) {
+    for (const note of track.notes) {
+      note.time = ticksToSeconds(note.ticks);
+      note.duration =
+        ticksToSeconds(note.ticks + note.durationTicks) - note.time;
+    }
+  }
+}
+
+/**
+ * Reads a MusicXML file (plain or compressed).
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {Object} A Midi-like score { header: { name, ppq, tempos,
+ *   timeSignatures }, tracks, hasJumps }; tracks are the staves of each part
+ *   that hold notes, with { name, instrument, channel, notes, controlChanges,
+ *   part, hand }; part is the index of the part and hand "right" (treble
+ *   clef), "left" (bass clef) or null. hasJumps tells that D.C., D.S. or coda
+ *   jumps of the score were not followed.
+ * @throws {Error} When the file is not a partwise MusicXML score
+ */
+export function readMusicXml(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  // Compressed files are zip archives ("PK")
+  const isCompressed = bytes[0] === 0x50 && bytes[1] === 0x4b;
+  const doc = parseXml(
+    isCompressed ? readCompressedScore(bytes) : decodeText(bytes),
+  );
+
+  const root = doc.documentElement;
+  if (root.tagName !== "score-partwise") {
+    throw new Error("Only partwise MusicXML scores are supported.");
+  }
+
+  // Ticks per quarter note: a multiple of every <divisions> of the score
+  // (and even, so an eighth note is a whole number of ticks too)
+  const ppq = [...doc.getElementsByTagName("divisions")]
+    .map((element) => parseInt(element.textContent))
+    .filter((divisions) => divisions > 0)
+    .reduce(leastCommonMultiple, 2);
+
+  const partNames = new Map();
+  for (const scorePart of doc.getElementsByTagName("score-part")) {
+    partNames.set(
+      scorePart.getAttribute("id"),
+      getChildText(scorePart, "part-name") || "",
+    );
+  }
+
+  const header = { name: "", ppq, tempos: [], timeSignatures: [] };
+  const work = getChild(root, "work");
+  header.name =
+    (work && getChildText(work, "work-title")) ||
+    getChildText(root, "movement-title") ||
+    "";
+
+  // Every part has the repeats of the first one
+  const parts = getChildren(root, "part");
+  const measureOrder =
+    parts.length > 0 ? getMeasureOrder(getChildren(parts[0], "measure")) : [];
+
+  const tracks = [];
+  parts.forEach((part, partIndex) => {
+    const partName =
+      partNames.get(part.getAttribute("id")) || `Part ${partIndex + 1}`;
+    const staves = readPart(part, measureOrder, ppq, header, partIndex === 0);
+
+    for (const { staff, hand, notes, pedal } of staves) {
+      if (notes.length === 0) continue;
+      let name = partName;
+      if (staves.length > 1) {
+        name += ` (${HAND_NAMES[hand] || `staff ${staff}`})`;
+      }
+      tracks.push({
+        name,
+        instrument: { name: partName, percussion: false },
+        channel: partIndex % 16,
+        notes,
+        controlChanges: { 64: pedal },
+        part: partIndex,
+        hand,
+      });
+    }
+  });
+
+  header.tempos.sort((a, b) => a.ticks - b.ticks);
+  if (header.tempos.length === 0 || header.tempos[0].ticks > 0) {
+    header.tempos.unshift({ ticks: 0, bpm: DEFAULT_BPM });
+  }
+  header.timeSignatures.sort((a, b) => a.ticks - b.ticks);
+  addNoteTimes(tracks, header.tempos, ppq);
+
+  return { header, tracks, hasJumps: hasJumps(doc) };
+}
+
+/**
+ * Guesses the role of each track of readMusicXml: the treble and bass staves
+ * of the first piano-like part become the right hand (melody) and the left
+ * hand (accompaniment). Other scores are guessed like MIDI files.
+ * @returns {string[]} A TRACK_ROLES entry per track
+ */
+export function getDefaultMusicXmlRoles(score) {
+  const rightIndex = score.tracks.findIndex((track) => track.hand === "right");
+  const leftIndex = score.tracks.findIndex(
+    (track) =>
+      track.hand === "left" &&
+      rightIndex !== -1 &&
+      track.part === score.tracks[rightIndex].part,
+  );
+  if (leftIndex === -1) {
+    return getDefaultTrackRoles(readScoreTracks(score));
+  }
+
+  const roles = score.tracks.map(() => "ignore");
+  roles[rightIndex] = "melody";
+  roles[leftIndex] = "accompaniment";
+  return roles;
+}
+
+/**
+ * Converts a score of readMusicXml like convertMidiToUrlData, with exact
+ * durations (no rounding to 32nd notes).
+ */
+export function convertMusicXmlToUrlData(
+  score,
+  minMidi,
+  maxMidi,
+  trackRoles,
+  splitMidi = null,
+) {
+  return convertScoreToUrlData(
+    score,
+    minMidi,
+    maxMidi,
+    trackRoles,
+    splitMidi,
+    score.header.ppq / 2,
+  );
+}
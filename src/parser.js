@@ -1,6 +1,26 @@
 /**
- * Parses ABC Notation string into a sequence of note objects.
- * Returns an array of objects: { id: "NoteID" | null, duration: Number }
+ * MIDI velocities of the ABC dynamics decorations (e.g. !mf!).
+ */
+export const DYNAMICS = {
+  ppp: 16,
+  pp: 33,
+  p: 49,
+  mp: 64,
+  mf: 80,
+  f: 96,
+  ff: 112,
+  fff: 127,
+};
+
+/**
+ * Parses ABC Notation string into a sequence of note events.
+ * Returns an array of objects:
+ * { ids: ["NoteID", ...], duration: Number, velocity?: Number, pedal?: ["down" | "up", ...] }
+ * A single note has one id, a chord has several and a rest has none.
+ * Velocity is only set once a dynamics mark has been read, and it applies
+ * to all following notes until the next mark.
+ * Pedal lists the sustain pedal marks (!ped! / !ped-up!) in the order they
+ * were written before the note, chord or rest; they take effect at its start.
  */
 export function parseABC(abcString) {
   // Convert points to commas (custom URL-friendly octave down)
@@ -9,108 +29,227 @@ export function parseABC(abcString) {
   abcString = abcString.replace(/~/g, "/");
   // Convert hyphens to apostrophes (custom URL-friendly octave up)
   abcString = abcString.replace(/-/g, "'");
+  // Convert parentheses to brackets (custom URL-friendly chord group)
+  abcString = abcString.replace(/\(/g, "[").replace(/\)/g, "]");
 
   // 1. Clean string: remove bar lines |, whitespace, standardizing
-  // Regex looks for: (accidental)(note)(octave)(duration)
-  // Pattern: [^=_]? (optional accidental) [A-Ga-gz] (note) [,']* (octave modifiers) [\d\/]* (duration)
-  const tokens = abcString.match(/[\^_]?[A-Ga-gz][,']*[\d\/]*/g);
+  // Regex looks for a dynamics mark, a chord group or a single note:
+  // Decoration: ![a-z']+! (e.g. !mf!, !ped-up! whose hyphen was converted above)
+  // Chord: \[[^\]]*\] (bracketed notes) [\d\/]* (duration)
+  // Note: [^=_]? (optional accidental) [A-Ga-gz] (note) [,']* (octave modifiers) [\d\/]* (duration)
+  const tokens = abcString.match(
+    /![a-z']+!|\[[^\]]*\][\d\/]*|[\^_]?[A-Ga-gz][,']*[\d\/]*/g,
+  );
 
   if (!tokens) return [];
 
   const result = [];
+  let velocity;
+  // Pedal marks wait for the next note, chord or rest
+  let pendingPedal = [];
+
+  const pushEvent = (ids, duration) => {
+    const event = { ids: ids, duration: duration };
+    if (velocity !== undefined) event.velocity = velocity;
+    if (pendingPedal.length > 0) {
+      event.pedal = pendingPedal;
+      pendingPedal = [];
+    }
+    result.push(event);
+  };
 
   tokens.forEach((token) => {
-    // A. Parse Accidental
-    let accidental = "";
-    let remainder = token;
-
-    if (token.startsWith("^")) {
-      accidental = "#";
-      remainder = token.substring(1);
-    } else if (token.startsWith("_")) {
-      accidental = "b"; // Flat
-      remainder = token.substring(1);
-    } else if (token.startsWith("=")) {
-      remainder = token.substring(1); // Natural
+    if (token.startsWith("!")) {
+      const decoration = token.slice(1, -1).replace(/'/g, "-");
+      // Unknown decorations are ignored
+      if (DYNAMICS[decoration] !== undefined) {
+        velocity = DYNAMICS[decoration];
+      } else if (decoration === "ped") {
+        pendingPedal.push("down");
+      } else if (decoration === "ped-up") {
+        pendingPedal.push("up");
+      }
+      return;
     }
 
-    // B. Parse Note Name & Octave
-    // ABC Standard: C, = C3 | C = C4 | c = C5 | c' = C6
-    const baseNoteChar = remainder.charAt(0);
-    remainder = remainder.substring(1);
+    if (token.startsWith("[")) {
+      // A chord shares one duration, written after the closing bracket.
+      // Durations of the inner notes are ignored.
+      const closeIndex = token.indexOf("]");
+      const innerTokens =
+        token.substring(1, closeIndex).match(/[\^_]?[A-Ga-g][,']*/g) || [];
+
+      const ids = [];
+      innerTokens.forEach((innerToken) => {
+        const id = parseNoteId(innerToken).id;
+        if (id && !ids.includes(id)) ids.push(id);
+      });
+
+      pushEvent(ids, parseDuration(token.substring(closeIndex + 1)));
+      return;
+    }
 
-    let noteName = baseNoteChar.toUpperCase();
-    let octave = 4; // Default C is C4
+    const { id, remainder } = parseNoteId(token);
+    pushEvent(id ? [id] : [], parseDuration(remainder));
+  });
 
-    if (baseNoteChar === "z") {
-      noteName = "REST";
-    } else {
-      // Lowercase letters in ABC start at C5
-      if (baseNoteChar === baseNoteChar.toLowerCase()) {
-        octave = 5;
-      }
+  return result;
+}
 
-      // Check for comma (octave down) or apostrophe (octave up)
-      while (remainder.startsWith(",")) {
-        octave--;
-        remainder = remainder.substring(1);
-      }
-      while (remainder.startsWith("'")) {
-        octave++;
-        remainder = remainder.substring(1);
-      }
-    }
+/**
+ * Writes the parsed events of a track in one canonical form, so the same
+ * notes written differently (chord order, fractions, repeated dynamics marks,
+ * the plain melody parameter or the decoded "s" parameter) read the same.
+ */
+export function getCanonicalABC(abcString) {
+  return parseABC(abcString)
+    .map((event) =>
+      [
+        [...event.ids].sort().join(" "),
+        // Equal fractions written differently can differ in their last bits
+        Math.round(event.duration * 1e6),
+        event.velocity ?? "",
+        (event.pedal || []).join(" "),
+      ].join(":"),
+    )
+    .join(",");
+}
 
-    // C. Parse Duration
-    // default = 1, "2" = 2, "/2" = 0.5, "3/2" = 1.5
-    let duration = 1.0;
-    if (remainder.length > 0) {
-      if (remainder.includes("/")) {
-        const parts = remainder.split("/");
-        const num = parts[0] === "" ? 1 : parseFloat(parts[0]);
-        const den = parts[1] === "" ? 2 : parseFloat(parts[1]);
-        duration = num / den;
-      } else {
-        duration = parseFloat(remainder);
-      }
+/**
+ * Parses the pitch part of a single note token (accidental, note, octave).
+ * Returns { id: "NoteID" | null, remainder: String } where remainder holds
+ * the unparsed duration suffix.
+ */
+function parseNoteId(token) {
+  // A. Parse Accidental
+  let accidental = "";
+  let remainder = token;
+
+  if (token.startsWith("^")) {
+    accidental = "#";
+    remainder = token.substring(1);
+  } else if (token.startsWith("_")) {
+    accidental = "b"; // Flat
+    remainder = token.substring(1);
+  } else if (token.startsWith("=")) {
+    remainder = token.substring(1); // Natural
+  }
+
+  // B. Parse Note Name & Octave
+  // ABC Standard: C, = C3 | C = C4 | c = C5 | c' = C6
+  const baseNoteChar = remainder.charAt(0);
+  remainder = remainder.substring(1);
+
+  let noteName = baseNoteChar.toUpperCase();
+  let octave = 4; // Default C is C4
+
+  if (baseNoteChar === "z") {
+    noteName = "REST";
+  } else {
+    // Lowercase letters in ABC start at C5
+    if (baseNoteChar === baseNoteChar.toLowerCase()) {
+      octave = 5;
     }
 
-    // D. Convert Flats to Sharps (Enharmonic equivalent)
-    // The Game Engine (main.js) only has "#" keys defined in NOTES_DATA.
-    if (accidental === "b" && noteName !== "REST") {
-      const flatMap = {
-        D: { note: "C", acc: "#" }, // Db -> C#
-        E: { note: "D", acc: "#" }, // Eb -> D#
-        G: { note: "F", acc: "#" }, // Gb -> F#
-        A: { note: "G", acc: "#" }, // Ab -> G#
-        B: { note: "A", acc: "#" }, // Bb -> A#
-        C: { note: "B", acc: "", octaveShift: -1 }, // Cb -> B (prev octave)
-        F: { note: "E", acc: "" }, // Fb -> E
-      };
-
-      const mapping = flatMap[noteName];
-      if (mapping) {
-        noteName = mapping.note;
-        accidental = mapping.acc;
-        if (mapping.octaveShift) {
-          octave += mapping.octaveShift;
-        }
+    // Check for comma (octave down) or apostrophe (octave up)
+    while (remainder.startsWith(",")) {
+      octave--;
+      remainder = remainder.substring(1);
+    }
+    while (remainder.startsWith("'")) {
+      octave++;
+      remainder = remainder.substring(1);
+    }
+  }
+
+  // C. Convert Flats to Sharps (Enharmonic equivalent)
+  // The Game Engine (main.js) only has "#" keys defined in NOTES_DATA.
+  if (accidental === "b" && noteName !== "REST") {
+    const flatMap = {
+      D: { note: "C", acc: "#" }, // Db -> C#
+      E: { note: "D", acc: "#" }, // Eb -> D#
+      G: { note: "F", acc: "#" }, // Gb -> F#
+      A: { note: "G", acc: "#" }, // Ab -> G#
+      B: { note: "A", acc: "#" }, // Bb -> A#
+      C: { note: "B", acc: "", octaveShift: -1 }, // Cb -> B (prev octave)
+      F: { note: "E", acc: "" }, // Fb -> E
+    };
+
+    const mapping = flatMap[noteName];
+    if (mapping) {
+      noteName = mapping.note;
+      accidental = mapping.acc;
+      if (mapping.octaveShift) {
+        octave += mapping.octaveShift;
       }
     }
+  }
 
-    // E. Construct Game ID
-    let finalId = null;
+  // D. Construct Game ID
+  let finalId = null;
 
-    if (noteName !== "REST") {
-      // Now accidental is either "" or "#"
-      finalId = `${noteName}${accidental}${octave}`;
+  if (noteName !== "REST") {
+    // Now accidental is either "" or "#"
+    finalId = `${noteName}${accidental}${octave}`;
+  }
+
+  return { id: finalId, remainder };
+}
+
+/**
+ * Parses a duration suffix.
+ * default = 1, "2" = 2, "/2" = 0.5, "3/2" = 1.5
+ */
+function parseDuration(durationString) {
+  let duration = 1.0;
+  if (durationString.length > 0) {
+    if (durationString.includes("/")) {
+      const parts = durationString.split("/");
+      const num = parts[0] === "" ? 1 : parseFloat(parts[0]);
+      const den = parts[1] === "" ? 2 : parseFloat(parts[1]);
+      duration = num / den;
+    } else {
+      duration = parseFloat(durationString);
     }
+  }
+  return duration;
+}
 
-    result.push({
-      id: finalId,
-      duration: duration,
-    });
-  });
+/**
+ * Parses the tempo changes of a song ("tempo" URL parameter).
+ * Format: comma-separated beat:bpm pairs, with beats counted in quarter notes
+ * from the start of the song (e.g. "32:90,48.5:60").
+ * Returns [{ beat: Number, bpm: Number }, ...] sorted by beat; invalid entries
+ * are skipped.
+ */
+export function parseTempoChanges(tempoString) {
+  const changes = [];
+  for (const entry of tempoString.split(",")) {
+    const [beat, bpm] = entry.split(":").map(parseFloat);
+    if (beat >= 0 && bpm > 0) changes.push({ beat, bpm });
+  }
+  return changes.sort((a, b) => a.beat - b.beat);
+}
 
-  return result;
+/**
+ * Parses the time signature changes of a song ("meter" URL parameter).
+ * Format: comma-separated beat:numerator/denominator pairs, with beats in
+ * quarter notes (e.g. "0:4/4,32:3/4"). "~" may be used instead of "/".
+ * Returns [{ beat, numerator, denominator }, ...] sorted by beat; invalid
+ * entries are skipped.
+ */
+export function parseMeterChanges(meterString) {
+  const changes = [];
+  for (const entry of meterString.replace(/~/g, "/").split(",")) {
+    const match = entry.match(/^([\d.]+):(\d+)\/(\d+)$/);
+    if (!match) continue;
+
+    const beat = parseFloat(match[1]);
+    const numerator = parseInt(match[2], 10);
+    const denominator = parseInt(match[3], 10);
+    if (numerator > 0 && denominator > 0) {
+      changes.push({ beat, numerator, denominator });
+    }
+  }
+  return changes.sort((a, b) => a.beat - b.beat);
 }
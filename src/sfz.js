@@ -0,0 +1,206 @@
+/**
+ * SFZ instrument parser.
+ * Supports the <control>, <global>, <master>, <group> and <region> headers
+ * with opcode inheritance, #define macros, comments and sample paths
+ * containing spaces. Other headers (<curve>, <effect>, ...) are ignored.
+ */
+
+// Defaults for the opcodes used by the audio engine (see the SFZ spec)
+const REGION_DEFAULTS = {
+  lokey: 0,
+  hikey: 127,
+  lovel: 0,
+  hivel: 127,
+  pitch_keycenter: 60,
+  pitch_keytrack: 100, // cents per key
+  tune: 0, // cents
+  transpose: 0, // semitones
+  volume: 0, // dB
+  amp_veltrack: 100, // %
+  ampeg_attack: 0, // seconds
+  ampeg_release: 0.001, // seconds
+};
+
+// Opcodes whose value may be a note name (e.g. c#4) instead of a number
+const KEY_OPCODES = ["key", "lokey", "hikey", "pitch_keycenter"];
+
+const SFZ_NOTE_OFFSETS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+/**
+ * Converts an SFZ note name (c4 = 60, c#4, db4) to a MIDI number.
+ */
+function sfzNoteToMidi(value) {
+  const match = String(value)
+    .toLowerCase()
+    .match(/^([a-g])([#b]?)(-?\d+)$/);
+  if (!match) return null;
+  const [, name, accidental, octave] = match;
+  let midi = 12 * (parseInt(octave, 10) + 1) + SFZ_NOTE_OFFSETS[name];
+  if (accidental === "#") midi++;
+  if (accidental === "b") midi--;
+  return midi;
+}
+
+function parseOpcodeValue(opcode, rawValue) {
+  if (KEY_OPCODES.includes(opcode)) {
+    const midi = sfzNoteToMidi(rawValue);
+    if (midi !== null) return midi;
+  }
+  return rawValue !== "" && !isNaN(Number(rawValue))
+    ? Number(rawValue)
+    : rawValue;
+}
+
+function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+}
+
+/**
+ * Collects #define macros and substitutes them in the remaining text.
+ */
+function applyDefines(text) {
+  const defines = [];
+  const body = text.replace(
+    /^\s*#define\s+(\$\w+)\s+(.*)$/gm,
+    (line, name, value) => {
+      defines.push([name, value.trim()]);
+      return "";
+    },
+  );
+
+  // Replace longer names first so $VAR10 is not matched by $VAR1
+  defines.sort((a, b) => b[0].length - a[0].length);
+  return defines.reduce(
+    (result, [name, value]) => result.split(name).join(value),
+    body,
+  );
+}
+
+/**
+ * Builds the final region from the inherited scopes.
+ */
+function buildRegion(scopes, regionOpcodes) {
+  const region = {
+    ...REGION_DEFAULTS,
+    ...scopes.global,
+    ...scopes.master,
+    ...scopes.group,
+    ...regionOpcodes,
+  };
+
+  // key sets the key range and the pitch center at once
+  if (region.key !== undefined) {
+    const explicit = { ...scopes.group, ...regionOpcodes };
+    if (explicit.lokey === undefined) region.lokey = region.key;
+    if (explicit.hikey === undefined) region.hikey = region.key;
+    if (explicit.pitch_keycenter === undefined) {
+      region.pitch_keycenter = region.key;
+    }
+  }
+
+  if (typeof region.sample === "string") {
+    const defaultPath = scopes.control.default_path || "";
+    region.sample = `${defaultPath}${region.sample}`.replace(/\\/g, "/");
+  }
+
+  return region;
+}
+
+/**
+ * Parses the text of an SFZ file.
+ * @param {string} text
+ * @returns {Object[]} Regions with all inherited opcodes resolved. Sample paths
+ *   are relative to the SFZ file and already include <control> default_path.
+ */
+export function parseSfz(text) {
+  const cleanText = applyDefines(stripComments(text));
+
+  const scopes = { control: {}, global: {}, master: {}, group: {} };
+  const regions = [];
+  let currentRegion = null;
+  let target = null;
+
+  const flushRegion = () => {
+    if (currentRegion && currentRegion.sample !== undefined) {
+      regions.push(buildRegion(scopes, currentRegion));
+    }
+    currentRegion = null;
+  };
+
+  const openHeader = (header) => {
+    flushRegion();
+    switch (header) {
+      case "control":
+        scopes.control = {};
+        target = scopes.control;
+        break;
+      case "global":
+        scopes.global = {};
+        scopes.master = {};
+        scopes.group = {};
+        target = scopes.global;
+        break;
+      case "master":
+        scopes.master = {};
+        scopes.group = {};
+        target = scopes.master;
+        break;
+      case "group":
+        scopes.group = {};
+        target = scopes.group;
+        break;
+      case "region":
+        currentRegion = {};
+        target = currentRegion;
+        break;
+      default:
+        target = null;
+    }
+  };
+
+  for (const line of cleanText.split(/\r?\n/)) {
+    // Find headers and opcode names (at the start of a word); a value runs
+    // until the next token, which allows spaces in sample paths.
+    const tokens = [...line.matchAll(/<(\w+)>|(?<![^\s>])(\w+)=/g)];
+
+    tokens.forEach((token, i) => {
+      if (token[1]) {
+        openHeader(token[1]);
+        return;
+      }
+      if (!target) return;
+
+      const valueStart = token.index + token[0].length;
+      const valueEnd = i + 1 < tokens.length ? tokens[i + 1].index : undefined;
+      const rawValue = line.substring(valueStart, valueEnd).trim();
+      const opcode = token[2];
+
+      // Paths are kept as strings, even when they look numeric
+      target[opcode] =
+        opcode === "default_path" || opcode === "sample"
+          ? rawValue
+          : parseOpcodeValue(opcode, rawValue);
+    });
+  }
+  flushRegion();
+
+  return regions;
+}
+
+/**
+ * Normalizes a relative sample path for lookups in a sample pack:
+ * forward slashes, no "." or ".." segments and lower case (packs made on
+ * Windows often differ in case from the paths in their SFZ file).
+ */
+export function normalizeSamplePath(path) {
+  const segments = [];
+  for (const segment of path.replace(/\\/g, "/").split("/")) {
+    if (segment === "" || segment === ".") continue;
+    if (segment === "..") {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments.join("/").toLowerCase();
+}
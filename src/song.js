@@ -0,0 +1,232 @@
+/**
+ * Song model: the parsed tracks laid out on an absolute timeline, so the game
+ * can place notes from the current song time instead of counting frames.
+ */
+
+// Parser durations are in eighth notes, two per quarter-note beat
+const UNITS_PER_BEAT = 2;
+
+// Measures are counted in 4/4 until the first time signature
+const DEFAULT_METER = { beat: 0, numerator: 4, denominator: 4 };
+
+/**
+ * Builds the tempo map: segments of constant tempo with their start time.
+ * @param {number} bpm - Tempo at the start of the song
+ * @param {Object[]} tempos - Later changes { beat, bpm }, sorted by beat
+ * @returns {Object[]} Segments { beat, bpm, time }
+ */
+function createTempoMap(bpm, tempos) {
+  const segments = [{ beat: 0, bpm, time: 0 }];
+
+  for (const change of tempos) {
+    const last = segments[segments.length - 1];
+    if (change.beat <= last.beat) {
+      // A change at the same beat replaces the tempo
+      last.bpm = change.bpm;
+      continue;
+    }
+    const time = last.time + ((change.beat - last.beat) * 60) / last.bpm;
+    segments.push({ beat: change.beat, bpm: change.bpm, time });
+  }
+
+  return segments;
+}
+
+/**
+ * Converts a position in quarter-note beats to seconds from the song start.
+ */
+function beatToTime(tempoMap, beat) {
+  let segment = tempoMap[0];
+  for (const candidate of tempoMap) {
+    if (candidate.beat > beat) break;
+    segment = candidate;
+  }
+  return segment.time + ((beat - segment.beat) * 60) / segment.bpm;
+}
+
+/**
+ * Finds the measure playing at a song time.
+ * @param {Object[]} measures - song.measures
+ * @returns {number} Index of the measure (0 before the first one)
+ */
+function getMeasureIndex(measures, time) {
+  let index = 0;
+  while (index + 1 < measures.length && measures[index + 1].time <= time) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Lays out the parsed events of a track one after another.
+ * @param {Object[]} events - Output of parseABC
+ * @param {Object[]} tempoMap - Output of createTempoMap
+ * @returns {Object[]} Notes sorted by start: { id, beat, beats, time, duration,
+ *   velocity }. beat/beats are in quarter notes, time/duration in seconds.
+ *   Chords become one note per key.
+ */
+function buildTrack(events, tempoMap) {
+  const notes = [];
+  let beat = 0;
+
+  for (const event of events) {
+    const beats = event.duration / UNITS_PER_BEAT;
+    const time = beatToTime(tempoMap, beat);
+    const duration = beatToTime(tempoMap, beat + beats) - time;
+
+    event.ids.forEach((id) => {
+      notes.push({
+        id,
+        beat,
+        beats,
+        time,
+        duration,
+        velocity: event.velocity,
+      });
+    });
+
+    beat += beats;
+  }
+
+  return notes;
+}
+
+/**
+ * Lists the sustain pedal marks of a track, which notes and rests can carry.
+ * @returns {Object[]} Changes sorted by time: { beat, time, isOn }
+ */
+function buildPedal(events, tempoMap) {
+  const changes = [];
+  let beat = 0;
+
+  for (const event of events) {
+    for (const action of event.pedal || []) {
+      changes.push({
+        beat,
+        time: beatToTime(tempoMap, beat),
+        isOn: action === "down",
+      });
+    }
+    beat += event.duration / UNITS_PER_BEAT;
+  }
+
+  return changes;
+}
+
+function getTrackEndBeat(notes) {
+  return notes.reduce((end, note) => Math.max(end, note.beat + note.beats), 0);
+}
+
+/**
+ * Lists the measure starts up to endBeat.
+ * @param {Object[]} meters - Time signatures { beat, numerator, denominator },
+ *   sorted by beat
+ * @returns {Object[]} Measures { beat, time, numerator, denominator }
+ */
+function getMeasures(meters, tempoMap, endBeat) {
+  if (meters.length === 0 || meters[0].beat > 0) {
+    meters = [DEFAULT_METER, ...meters];
+  }
+  const measures = [];
+
+  meters.forEach((meter, i) => {
+    const nextBeat = i + 1 < meters.length ? meters[i + 1].beat : endBeat;
+    const measureBeats = (meter.numerator * 4) / meter.denominator;
+
+    for (let beat = meter.beat; beat < nextBeat; beat += measureBeats) {
+      measures.push({
+        beat,
+        time: beatToTime(tempoMap, beat),
+        numerator: meter.numerator,
+        denominator: meter.denominator,
+      });
+    }
+  });
+
+  return measures;
+}
+
+/**
+ * Lists the metronome clicks: one per beat of the time signature (the
+ * denominator's note value), accenting the first beat of each measure.
+ * @returns {Object[]} Clicks { time, isAccent }
+ */
+function getClicks(measures, tempoMap, endBeat) {
+  const clicks = [];
+
+  measures.forEach((measure, i) => {
+    const nextBeat = i + 1 < measures.length ? measures[i + 1].beat : endBeat;
+    const beatLength = 4 / measure.denominator;
+
+    for (let n = 0; n < measure.numerator; n++) {
+      const beat = measure.beat + n * beatLength;
+      if (beat >= nextBeat) break;
+      clicks.push({ time: beatToTime(tempoMap, beat), isAccent: n === 0 });
+    }
+  });
+
+  return clicks;
+}
+
+/**
+ * Lists the clicks of a count-in ending at a song time, in the time
+ * signature and tempo of the measure playing there.
+ * @param {number} bars - Length of the count-in in measures
+ * @returns {Object[]} Clicks { time, isAccent }, all before time
+ */
+function getCountInClicks(song, time, bars) {
+  const measure = song.measures[getMeasureIndex(song.measures, time)];
+  const beatLength =
+    beatToTime(song.tempoMap, measure.beat + 4 / measure.denominator) -
+    measure.time;
+  const count = measure.numerator * bars;
+  const clicks = [];
+
+  for (let n = 0; n < count; n++) {
+    clicks.push({
+      time: time - (count - n) * beatLength,
+      isAccent: n % measure.numerator === 0,
+    });
+  }
+  return clicks;
+}
+
+/**
+ * Builds the song from the parsed melody and accompaniment.
+ * @param {Object} tracks - { melody, accompaniment, bpm, tempos, meters };
+ *   tempos and meters are the optional changes from parseTempoChanges and
+ *   parseMeterChanges
+ * @returns {Object} { bpm, tempoMap, meters, melody, accompaniment, pedal,
+ *   measures, barLines, clicks, duration } with duration in seconds. pedal
+ *   holds the sustain pedal changes of each track ({ melody, accompaniment },
+ *   see buildPedal). barLines are the measures to draw, only when the song
+ *   has time signatures; clicks are the metronome beats (see getClicks).
+ */
+function createSong({ melody, accompaniment, bpm, tempos = [], meters = [] }) {
+  const tempoMap = createTempoMap(bpm, tempos);
+  const melodyNotes = buildTrack(melody, tempoMap);
+  const accompanimentNotes = buildTrack(accompaniment, tempoMap);
+  const endBeat = Math.max(
+    getTrackEndBeat(melodyNotes),
+    getTrackEndBeat(accompanimentNotes),
+  );
+  const measures = getMeasures(meters, tempoMap, endBeat);
+
+  return {
+    bpm,
+    tempoMap,
+    meters,
+    melody: melodyNotes,
+    accompaniment: accompanimentNotes,
+    pedal: {
+      melody: buildPedal(melody, tempoMap),
+      accompaniment: buildPedal(accompaniment, tempoMap),
+    },
+    measures,
+    barLines: meters.length > 0 ? measures : [],
+    clicks: getClicks(measures, tempoMap, endBeat),
+    duration: beatToTime(tempoMap, endBeat),
+  };
+}
+
+export { createSong, beatToTime, getMeasureIndex, getCountInClicks };
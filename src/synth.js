@@ -0,0 +1,95 @@
+/**
+ * Built-in oscillator voices, used for instruments without samples and as a
+ * fallback when an SFZ instrument fails to load.
+ */
+const SYNTH_PRESETS = {
+  // Plain triangle wave with a short decay to a sustain level
+  basic: {
+    attack: 0.01,
+    decay: 0.3,
+    sustain: 0.4,
+    release: 0.3,
+  },
+  // Two-operator FM voice with a decaying modulation index (tine-like bell)
+  "electric-piano": {
+    attack: 0.005,
+    decay: 2.5,
+    sustain: 0.0,
+    release: 0.4,
+    modulatorRatio: 1,
+    modulationIndex: 3,
+    modulationDecay: 0.8,
+  },
+};
+
+function midiToFrequency(midiNote) {
+  return 440 * 2 ** ((midiNote - 69) / 12);
+}
+
+/**
+ * Starts a synthesized note.
+ * @param {BaseAudioContext} audioContext
+ * @param {AudioNode} destination
+ * @param {number} midiNote
+ * @param {number} gain - Linear peak gain
+ * @param {string} presetName - Key of SYNTH_PRESETS
+ * @param {number} [when] - Start time in audioContext seconds (default: now)
+ * @returns {GainNode} Output node, with releaseTime and sources for stopNote
+ */
+function playSynthVoice(
+  audioContext,
+  destination,
+  midiNote,
+  gain,
+  presetName,
+  when = audioContext.currentTime,
+) {
+  const preset = SYNTH_PRESETS[presetName] || SYNTH_PRESETS.basic;
+  const frequency = midiToFrequency(midiNote);
+  // Oscillators are much louder than the recorded samples
+  const peak = gain * 0.3;
+
+  const output = audioContext.createGain();
+  output.gain.setValueAtTime(0, when);
+  output.gain.linearRampToValueAtTime(peak, when + preset.attack);
+  output.gain.setTargetAtTime(
+    Math.max(peak * preset.sustain, 0.0001),
+    when + preset.attack,
+    preset.decay / 3,
+  );
+  output.connect(destination);
+
+  const carrier = audioContext.createOscillator();
+  carrier.frequency.value = frequency;
+  carrier.connect(output);
+  const sources = [carrier];
+
+  if (preset.modulatorRatio) {
+    carrier.type = "sine";
+    const modulator = audioContext.createOscillator();
+    modulator.frequency.value = frequency * preset.modulatorRatio;
+
+    const modulationGain = audioContext.createGain();
+    const depth = frequency * preset.modulationIndex;
+    modulationGain.gain.setValueAtTime(depth, when);
+    modulationGain.gain.setTargetAtTime(
+      depth * 0.1,
+      when,
+      preset.modulationDecay / 3,
+    );
+
+    modulator.connect(modulationGain);
+    modulationGain.connect(carrier.frequency);
+    sources.push(modulator);
+  } else {
+    carrier.type = "triangle";
+  }
+
+  for (const source of sources) source.start(when);
+
+  output.releaseTime = preset.release;
+  output.sources = sources;
+  return output;
+}
+
+export { SYNTH_PRESETS, playSynthVoice };
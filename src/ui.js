@@ -1,9 +1,18 @@
 import * as PIXI from "pixi.js";
 
 /**
- * Creates a button with support for dynamic color updates.
+ * Creates a button with support for dynamic color and text updates.
+ * Buttons are square unless a width is given.
  */
-function createButton(text, x, y, onClick, size = 60, initialColor = 0x333333) {
+function createButton(
+  text,
+  x,
+  y,
+  onClick,
+  size = 60,
+  initialColor = 0x333333,
+  width = size,
+) {
   const container = new PIXI.Container();
   container.x = x;
   container.y = y;
@@ -17,7 +26,7 @@ function createButton(text, x, y, onClick, size = 60, initialColor = 0x333333) {
   // Helper function to redraw the background
   const render = (color, alpha) => {
     bg.clear();
-    bg.roundRect(-size / 2, -size / 2, size, size, 12);
+    bg.roundRect(-width / 2, -size / 2, width, size, 12);
     bg.fill({ color: color, alpha: alpha });
     bg.stroke({ width: 3, color: 0xffffff });
   };
@@ -36,11 +45,14 @@ function createButton(text, x, y, onClick, size = 60, initialColor = 0x333333) {
   textObj.anchor.set(0.5);
   container.addChild(textObj);
 
-  // Expose method to update color externally
+  // Expose methods to update color and text externally
   container.updateColor = (color) => {
     container.baseColor = color;
     render(color, 1.0);
   };
+  container.setText = (newText) => {
+    textObj.text = newText;
+  };
 
   container.on("pointertap", (e) => onClick(e, container));
 
@@ -56,19 +68,181 @@ function createButton(text, x, y, onClick, size = 60, initialColor = 0x333333) {
   return container;
 }
 
+/**
+ * Draws the frame of a panel centered in the view (a little above the middle,
+ * clear of the piano) and adds it to the panel's container.
+ * @returns {Object} { panelLeft, panelTop } of the frame
+ */
+function createPanel(container, { width, height }, panelWidth, panelHeight) {
+  const panelLeft = width / 2 - panelWidth / 2;
+  const panelTop = height / 2 - panelHeight / 2 - 30;
+  const panel = new PIXI.Graphics();
+  panel.roundRect(panelLeft, panelTop, panelWidth, panelHeight, 16);
+  panel.fill({ color: 0x222222, alpha: 0.95 });
+  panel.stroke({ width: 3, color: 0xffffff });
+  // Block clicks from reaching the piano behind the panel
+  panel.eventMode = "static";
+  container.addChild(panel);
+  return { panelLeft, panelTop };
+}
+
+/**
+ * Adds a row of square buttons centered on centerX.
+ * @param {Object[]} actions - { text, onClick } per button
+ * @returns {PIXI.Container[]} The buttons, in the order of actions
+ */
+function createButtonRow(container, centerX, y, actions, btnSize = 60) {
+  const gap = 20;
+  const totalWidth = actions.length * btnSize + (actions.length - 1) * gap;
+  let currentX = centerX - totalWidth / 2 + btnSize / 2;
+
+  return actions.map((action) => {
+    const button = createButton(
+      action.text,
+      currentX,
+      y,
+      (e) => {
+        e.stopPropagation();
+        action.onClick();
+      },
+      btnSize,
+    );
+    container.addChild(button);
+    currentX += btnSize + gap;
+    return button;
+  });
+}
+
+// Rows of a paged list (see createPagedRows)
+const ROWS_PER_PAGE = 4;
+const ROW_HEIGHT = 56;
+
+/**
+ * Creates a list that shows ROWS_PER_PAGE rows at a time, with page controls
+ * (◀ ▶) below them when the rows don't fit on one page.
+ * @param {number} top - Y of the middle of the first row
+ * @param {Function} renderRow - (rowsContainer, row, index, rowY) adds the
+ *   graphics of a row; index is the position of the row in the whole list
+ * @returns {Object} { show(rows) from the first page, update(rows) on the
+ *   current page }
+ */
+function createPagedRows(container, { width }, top, renderRow) {
+  const rowsContainer = new PIXI.Container();
+  container.addChild(rowsContainer);
+
+  let rows = [];
+  let page = 0;
+
+  const getPageCount = () =>
+    Math.max(1, Math.ceil(rows.length / ROWS_PER_PAGE));
+
+  const pageControls = new PIXI.Container();
+  container.addChild(pageControls);
+  const pageY = top + ROWS_PER_PAGE * ROW_HEIGHT - 10;
+
+  const pageText = new PIXI.Text({
+    text: "",
+    style: { fontFamily: "Arial", fontSize: 16, fill: 0xcccccc },
+  });
+  pageText.x = width / 2;
+  pageText.y = pageY;
+  pageText.anchor.set(0.5);
+  pageControls.addChild(pageText);
+
+  const render = () => {
+    rowsContainer.removeChildren().forEach((child) => child.destroy());
+    // The list can shrink (e.g. a removed song)
+    page = Math.min(page, getPageCount() - 1);
+
+    const first = page * ROWS_PER_PAGE;
+    rows.slice(first, first + ROWS_PER_PAGE).forEach((row, i) => {
+      renderRow(rowsContainer, row, first + i, top + i * ROW_HEIGHT);
+    });
+
+    pageText.text = `${page + 1} / ${getPageCount()}`;
+    pageControls.visible = getPageCount() > 1;
+  };
+
+  [
+    { text: "◀", x: width / 2 - 70, step: -1 },
+    { text: "▶", x: width / 2 + 70, step: 1 },
+  ].forEach(({ text, x, step }) => {
+    const button = createButton(
+      text,
+      x,
+      pageY,
+      (e) => {
+        e.stopPropagation();
+        page = Math.min(Math.max(page + step, 0), getPageCount() - 1);
+        render();
+      },
+      36,
+    );
+    pageControls.addChild(button);
+  });
+
+  return {
+    show: (newRows) => {
+      rows = newRows;
+      page = 0;
+      render();
+    },
+    update: (newRows) => {
+      rows = newRows;
+      render();
+    },
+  };
+}
+
 /**
  * Initializes the User Interface elements.
  * @param {PIXI.Container} parentContainer - The container to add UI elements to.
  * @param {Object} dimensions - { width, height }
  * @param {Object} config - Configuration flags and data (title, demoMode, etc.)
  * @param {Object} callbacks - Functions to handle UI interactions (onPlay, onLoad, etc.)
- * @returns {Object} References to created UI elements { loadingText, titleText, menuContainer }
+ * @returns {Object} References to created UI elements and helpers
+ *   { loadingText, titleText, menuContainer, hudContainer, resultsContainer,
+ *     updateHud, showJudgement, showResults, setMidiDevices,
+ *     instrumentContainer, setInstrumentNames, pedalButton, setSustainIndicator,
+ *     importContainer, showImportDialog, updateImportDialog, setImportSplit,
+ *     loopContainer, tempoContainer, setPaused, setProgress,
+ *     libraryContainer, showLibrary, updateLibrary, setResultsBest,
+ *     historyContainer, showHistory, recordingContainer, setRecordingState,
+ *     exportContainer, setExportStatus }
  */
 export function initUI(parentContainer, { width, height }, config, callbacks) {
   const uiRefs = {
     loadingText: null,
     titleText: null,
     menuContainer: null,
+    hudContainer: null,
+    resultsContainer: null,
+    updateHud: null,
+    showJudgement: null,
+    showResults: null,
+    setMidiDevices: null,
+    instrumentContainer: null,
+    setInstrumentNames: null,
+    pedalButton: null,
+    setSustainIndicator: null,
+    importContainer: null,
+    showImportDialog: null,
+    updateImportDialog: null,
+    setImportSplit: null,
+    loopContainer: null,
+    tempoContainer: null,
+    setPaused: null,
+    setProgress: null,
+    libraryContainer: null,
+    showLibrary: null,
+    updateLibrary: null,
+    setResultsBest: null,
+    historyContainer: null,
+    showHistory: null,
+    recordingContainer: null,
+    setRecordingState: null,
+    exportContainer: null,
+    setExportStatus: null,
   };
 
   // 1. Loading Text
@@ -130,7 +304,7 @@ export function initUI(parentContainer, { width, height }, config, callbacks) {
 
   const buttonConfigs = [];
 
-  // Load MIDI (📂)
+  // Load a MIDI or MusicXML file (📂)
   if (!config.hasMelody) {
     buttonConfigs.push({
       text: "📂",
@@ -142,6 +316,15 @@ export function initUI(parentContainer, { width, height }, config, callbacks) {
   }
 
   if (!config.isDemoMode) {
+    // Song Library (📚)
+    buttonConfigs.push({
+      text: "📚",
+      onClick: (e) => {
+        e.stopPropagation();
+        if (callbacks.onOpenLibrary) callbacks.onOpenLibrary();
+      },
+    });
+
     // Play Button (▶️)
     if (config.hasMelody || config.hasAccompaniment) {
       buttonConfigs.push({
@@ -169,18 +352,39 @@ export function initUI(parentContainer, { width, height }, config, callbacks) {
         },
       });
 
-      // Slow Mode Toggle (🐢)
+      // Tempo (🐢), highlighted when not at 100%
       buttonConfigs.push({
         text: "🐢",
         isToggle: true,
-        initialState: config.initialSpeedMode,
+        initialState: config.tempoLabels.percent !== 100,
         onClick: (e, btnContainer) => {
           e.stopPropagation();
-          const newState = callbacks.onToggleSpeed
-            ? callbacks.onToggleSpeed()
-            : false;
-          const newColor = newState ? 0x2e8b57 : 0x333333;
-          btnContainer.updateColor(newColor);
+          menuContainer.visible = false;
+          uiRefs.tempoContainer.menuButton = btnContainer;
+          uiRefs.tempoContainer.visible = true;
+        },
+      });
+
+      // Hands Mode (✋R right, 🤚L left, 🙌 both)
+      if (config.hasAccompaniment) {
+        buttonConfigs.push({
+          text: config.handsLabel,
+          onClick: (e, btnContainer) => {
+            e.stopPropagation();
+            if (callbacks.onCycleHands) {
+              btnContainer.setText(callbacks.onCycleHands());
+            }
+          },
+        });
+      }
+
+      // A–B Loop (🔁)
+      buttonConfigs.push({
+        text: "🔁",
+        onClick: (e) => {
+          e.stopPropagation();
+          menuContainer.visible = false;
+          uiRefs.loopContainer.visible = true;
         },
       });
 
@@ -191,9 +395,59 @@ export function initUI(parentContainer, { width, height }, config, callbacks) {
           if (callbacks.onShare) callbacks.onShare();
         },
       });
+
+      // Export as a MIDI or audio file (💾)
+      buttonConfigs.push({
+        text: "💾",
+        onClick: (e) => {
+          e.stopPropagation();
+          menuContainer.visible = false;
+          uiRefs.exportContainer.visible = true;
+        },
+      });
     }
   }
 
+  // Instruments (🎼)
+  if (!config.isDemoMode) {
+    buttonConfigs.push({
+      text: "🎼",
+      onClick: (e) => {
+        e.stopPropagation();
+        menuContainer.visible = false;
+        uiRefs.instrumentContainer.visible = true;
+      },
+    });
+
+    // Record the player (⏺), red while recording
+    buttonConfigs.push({
+      text: "⏺",
+      onClick: (e, btnContainer) => {
+        e.stopPropagation();
+        menuContainer.visible = false;
+        uiRefs.recordingContainer.menuButton = btnContainer;
+        uiRefs.recordingContainer.visible = true;
+      },
+    });
+  }
+
+  // MIDI Keyboard Toggle (🎹)
+  if (!config.isDemoMode && config.isMidiSupported) {
+    buttonConfigs.push({
+      text: "🎹",
+      isToggle: true,
+      initialState: false,
+      onClick: async (e, btnContainer) => {
+        e.stopPropagation();
+        const newState = callbacks.onToggleMidi
+          ? await callbacks.onToggleMidi()
+          : false;
+        const newColor = newState ? 0x2e8b57 : 0x333333;
+        btnContainer.updateColor(newColor);
+      },
+    });
+  }
+
   // Info Button (ℹ️)
   buttonConfigs.push({
     text: "ℹ️",
@@ -204,9 +458,12 @@ export function initUI(parentContainer, { width, height }, config, callbacks) {
     },
   });
 
-  // Calculate layout to center items
-  const btnSize = 70;
+  // Calculate layout to center items, shrinking the buttons to fit
   const gap = 20;
+  const btnSize = Math.min(
+    70,
+    (width - 40 - (buttonConfigs.length - 1) * gap) / buttonConfigs.length,
+  );
   const totalWidth =
     buttonConfigs.length * btnSize + (buttonConfigs.length - 1) * gap;
   let currentX = width / 2 - totalWidth / 2 + btnSize / 2;
@@ -230,5 +487,1360 @@ export function initUI(parentContainer, { width, height }, config, callbacks) {
     currentX += btnSize + gap;
   });
 
+  // Connected MIDI devices (shown below the menu buttons)
+  const midiDevicesText = new PIXI.Text({
+    text: "",
+    style: {
+      fontFamily: "Arial",
+      fontSize: 16,
+      fill: 0xcccccc,
+      align: "center",
+    },
+  });
+  midiDevicesText.x = width / 2;
+  midiDevicesText.y = yPos + btnSize / 2 + 10;
+  midiDevicesText.anchor.set(0.5, 0);
+  menuContainer.addChild(midiDevicesText);
+
+  // Pass null when MIDI input is disabled
+  uiRefs.setMidiDevices = (names) => {
+    if (!names) {
+      midiDevicesText.text = "";
+    } else if (names.length === 0) {
+      midiDevicesText.text = "🎹 No MIDI devices connected";
+    } else {
+      midiDevicesText.text = `🎹 ${names.join(", ")}`;
+    }
+  };
+
+  createHud(parentContainer, { width, height }, callbacks, uiRefs);
+  createResultsPanel(parentContainer, { width, height }, callbacks, uiRefs);
+  if (!config.isDemoMode) {
+    createPedalButton(parentContainer, callbacks, uiRefs);
+  }
+  createInstrumentPanel(
+    parentContainer,
+    { width, height },
+    config,
+    callbacks,
+    uiRefs,
+  );
+  createImportPanel(parentContainer, { width, height }, callbacks, uiRefs);
+  createHistoryPanel(parentContainer, { width, height }, uiRefs);
+  if (!config.isDemoMode) {
+    createLibraryPanel(parentContainer, { width, height }, callbacks, uiRefs);
+    createRecordingPanel(parentContainer, { width, height }, callbacks, uiRefs);
+  }
+  if (!config.isDemoMode && config.hasMelody) {
+    createLoopPanel(
+      parentContainer,
+      { width, height },
+      config,
+      callbacks,
+      uiRefs,
+    );
+    createTempoPanel(
+      parentContainer,
+      { width, height },
+      config,
+      callbacks,
+      uiRefs,
+    );
+    createExportPanel(parentContainer, { width, height }, callbacks, uiRefs);
+  }
+
   return uiRefs;
 }
+
+/**
+ * Creates the in-game score display, the judgement popup, the stop and pause
+ * buttons and the song progress bar (click or drag to seek).
+ */
+function createHud(parentContainer, { width, height }, callbacks, uiRefs) {
+  const hudContainer = new PIXI.Container();
+  hudContainer.visible = false;
+  parentContainer.addChild(hudContainer);
+  uiRefs.hudContainer = hudContainer;
+
+  const hudStyle = {
+    fontFamily: "Arial",
+    fontSize: 24,
+    fill: 0xffffff,
+    align: "right",
+    fontWeight: "bold",
+    stroke: { color: 0x000000, width: 4 },
+  };
+
+  const scoreText = new PIXI.Text({ text: "0", style: hudStyle });
+  scoreText.x = width - 20;
+  scoreText.y = 10;
+  scoreText.anchor.set(1, 0); // Top-right
+  hudContainer.addChild(scoreText);
+
+  const comboText = new PIXI.Text({
+    text: "",
+    style: { ...hudStyle, fontSize: 18 },
+  });
+  comboText.x = width - 20;
+  comboText.y = 40;
+  comboText.anchor.set(1, 0);
+  hudContainer.addChild(comboText);
+
+  const judgementText = new PIXI.Text({
+    text: "",
+    style: { ...hudStyle, fontSize: 30, align: "center" },
+  });
+  judgementText.x = width / 2;
+  judgementText.y = height / 2 - 60;
+  judgementText.anchor.set(0.5);
+  judgementText.alpha = 0;
+  hudContainer.addChild(judgementText);
+
+  // Stop (⏹): ends the song early and shows the results
+  const stopButton = createButton(
+    "⏹",
+    105,
+    40,
+    (e) => {
+      e.stopPropagation();
+      if (callbacks.onStop) callbacks.onStop();
+    },
+    50,
+  );
+  hudContainer.addChild(stopButton);
+
+  // Pause (⏸ / ▶️), also toggled with Escape
+  const pauseButton = createButton(
+    "⏸",
+    165,
+    40,
+    (e) => {
+      e.stopPropagation();
+      if (callbacks.onTogglePause) callbacks.onTogglePause();
+    },
+    50,
+  );
+  hudContainer.addChild(pauseButton);
+
+  const pausedText = new PIXI.Text({
+    text: "Paused",
+    style: { ...hudStyle, fontSize: 36, align: "center" },
+  });
+  pausedText.x = width / 2;
+  pausedText.y = height / 2 - 100;
+  pausedText.anchor.set(0.5);
+  pausedText.visible = false;
+  hudContainer.addChild(pausedText);
+
+  uiRefs.setPaused = (isPaused) => {
+    pauseButton.setText(isPaused ? "▶️" : "⏸");
+    pauseButton.updateColor(isPaused ? 0x2e8b57 : 0x333333);
+    pausedText.visible = isPaused;
+  };
+
+  // Progress bar
+  const barWidth = 400;
+  const barHeight = 12;
+  const barLeft = width / 2 - barWidth / 2;
+  const barY = 24;
+
+  const progressBar = new PIXI.Container();
+  progressBar.eventMode = "static";
+  progressBar.cursor = "pointer";
+  hudContainer.addChild(progressBar);
+
+  const track = new PIXI.Graphics();
+  track.roundRect(barLeft, barY, barWidth, barHeight, barHeight / 2);
+  track.fill({ color: 0x333333, alpha: 0.9 });
+  track.stroke({ width: 2, color: 0xffffff });
+  // A taller invisible area makes the bar easier to hit
+  track.rect(barLeft, barY - 12, barWidth, barHeight + 24);
+  track.fill({ color: 0x000000, alpha: 0.001 });
+  progressBar.addChild(track);
+
+  const fill = new PIXI.Graphics();
+  fill.roundRect(0, 0, barWidth, barHeight, barHeight / 2);
+  fill.fill(0x00ccff);
+  fill.x = barLeft;
+  fill.y = barY;
+  fill.scale.x = 0;
+  progressBar.addChild(fill);
+
+  const measureText = new PIXI.Text({
+    text: "",
+    style: { ...hudStyle, fontSize: 14, align: "center" },
+  });
+  measureText.x = width / 2;
+  measureText.y = barY + barHeight + 4;
+  measureText.anchor.set(0.5, 0);
+  hudContainer.addChild(measureText);
+
+  // While dragging, the bar follows the pointer; the seek happens on release
+  let isDragging = false;
+  const getFraction = (e) => {
+    const x = progressBar.toLocal(e.global).x;
+    return Math.min(Math.max((x - barLeft) / barWidth, 0), 1);
+  };
+
+  progressBar.on("pointerdown", (e) => {
+    e.stopPropagation();
+    isDragging = true;
+    fill.scale.x = getFraction(e);
+  });
+  progressBar.on("globalpointermove", (e) => {
+    if (isDragging) fill.scale.x = getFraction(e);
+  });
+  const endDrag = (e) => {
+    if (!isDragging) return;
+    isDragging = false;
+    if (callbacks.onSeek) callbacks.onSeek(getFraction(e));
+  };
+  progressBar.on("pointerup", endDrag);
+  progressBar.on("pointerupoutside", endDrag);
+
+  uiRefs.setProgress = (fraction, label) => {
+    if (!isDragging) fill.scale.x = Math.min(Math.max(fraction, 0), 1);
+    measureText.text = label;
+  };
+
+  uiRefs.updateHud = ({ score, combo }) => {
+    scoreText.text = score.toString();
+    comboText.text = combo > 1 ? `${combo} Combo` : "";
+  };
+
+  // Fade the popup out over time
+  let fadeTicker = null;
+  uiRefs.showJudgement = ({ name, color }) => {
+    judgementText.text = name;
+    judgementText.style.fill = color;
+    judgementText.alpha = 1;
+    judgementText.scale.set(1.2);
+
+    if (fadeTicker) PIXI.Ticker.shared.remove(fadeTicker);
+    fadeTicker = (ticker) => {
+      judgementText.scale.set(
+        Math.max(1, judgementText.scale.x - 0.02 * ticker.deltaTime),
+      );
+      judgementText.alpha -= 0.02 * ticker.deltaTime;
+      if (judgementText.alpha <= 0) {
+        judgementText.alpha = 0;
+        PIXI.Ticker.shared.remove(fadeTicker);
+        fadeTicker = null;
+      }
+    };
+    PIXI.Ticker.shared.add(fadeTicker);
+  };
+}
+
+/**
+ * Creates the end-of-song results panel (hidden until showResults is called).
+ */
+function createResultsPanel(
+  parentContainer,
+  { width, height },
+  callbacks,
+  uiRefs,
+) {
+  const resultsContainer = new PIXI.Container();
+  resultsContainer.visible = false;
+  parentContainer.addChild(resultsContainer);
+  uiRefs.resultsContainer = resultsContainer;
+
+  const panelWidth = 420;
+  const panelHeight = 300;
+  createPanel(resultsContainer, { width, height }, panelWidth, panelHeight);
+
+  const resultsText = new PIXI.Text({
+    text: "",
+    style: {
+      fontFamily: "Arial",
+      fontSize: 22,
+      fill: 0xffffff,
+      align: "center",
+      lineHeight: 30,
+    },
+  });
+  resultsText.x = width / 2;
+  resultsText.y = height / 2 - panelHeight / 2 - 10;
+  resultsText.anchor.set(0.5, 0);
+  resultsContainer.addChild(resultsText);
+
+  const bestText = new PIXI.Text({
+    text: "",
+    style: { fontFamily: "Arial", fontSize: 18, fill: 0xffd700 },
+  });
+  bestText.x = width / 2;
+  bestText.y = height / 2 + panelHeight / 2 - 120;
+  bestText.anchor.set(0.5);
+  resultsContainer.addChild(bestText);
+
+  // Practice History (📊) and Back to Menu (↩️)
+  const historyButton = createButton(
+    "📊",
+    width / 2 - 40,
+    height / 2 + panelHeight / 2 - 70,
+    (e) => {
+      e.stopPropagation();
+      resultsContainer.visible = false;
+      uiRefs.historyContainer.returnTo = resultsContainer;
+      if (callbacks.onShowHistory) callbacks.onShowHistory();
+    },
+    60,
+  );
+  resultsContainer.addChild(historyButton);
+
+  const closeButton = createButton(
+    "↩️",
+    width / 2 + 40,
+    height / 2 + panelHeight / 2 - 70,
+    (e) => {
+      e.stopPropagation();
+      resultsContainer.visible = false;
+      if (callbacks.onResultsClose) callbacks.onResultsClose();
+    },
+    60,
+  );
+  resultsContainer.addChild(closeButton);
+
+  uiRefs.showResults = ({ accuracy, score, counts, maxCombo }) => {
+    resultsText.text = [
+      `Accuracy: ${accuracy.toFixed(1)}%`,
+      `Score: ${score}`,
+      `Perfect: ${counts.Perfect}   Great: ${counts.Great}   Good: ${counts.Good}`,
+      `Misses: ${counts.Miss}`,
+      `Max Combo: ${maxCombo}`,
+    ].join("\n");
+    bestText.text = "";
+    resultsContainer.visible = true;
+  };
+  uiRefs.setResultsBest = (label) => {
+    bestText.text = label;
+  };
+}
+
+/**
+ * Creates the practice history view of a song: a chart of the accuracy of
+ * the recent runs and a summary with the best run and the most missed
+ * measures. It returns to the panel in historyContainer.returnTo on close.
+ */
+function createHistoryPanel(parentContainer, { width, height }, uiRefs) {
+  const historyContainer = new PIXI.Container();
+  historyContainer.visible = false;
+  parentContainer.addChild(historyContainer);
+  uiRefs.historyContainer = historyContainer;
+
+  const panelWidth = 860;
+  const panelHeight = 380;
+  const { panelLeft, panelTop } = createPanel(
+    historyContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const headerText = new PIXI.Text({
+    text: "",
+    style: { fontFamily: "Arial", fontSize: 22, fill: 0xffffff },
+  });
+  headerText.x = width / 2;
+  headerText.y = panelTop + 20;
+  headerText.anchor.set(0.5, 0);
+  historyContainer.addChild(headerText);
+
+  // Accuracy chart, 0% at the bottom and 100% at the top
+  const chartLeft = panelLeft + 70;
+  const chartTop = panelTop + 70;
+  const chartWidth = 460;
+  const chartHeight = 200;
+  const labelStyle = { fontFamily: "Arial", fontSize: 14, fill: 0xcccccc };
+
+  const grid = new PIXI.Graphics();
+  for (const percent of [0, 50, 100]) {
+    const y = chartTop + chartHeight * (1 - percent / 100);
+    grid.rect(chartLeft, y, chartWidth, 1);
+
+    const label = new PIXI.Text({ text: `${percent}%`, style: labelStyle });
+    label.x = chartLeft - 10;
+    label.y = y;
+    label.anchor.set(1, 0.5);
+    historyContainer.addChild(label);
+  }
+  grid.fill(0x555555);
+  historyContainer.addChild(grid);
+
+  const chart = new PIXI.Graphics();
+  historyContainer.addChild(chart);
+
+  // Point colors tell runs with and without wait mode apart
+  const WAIT_COLORS = { off: 0x00ff88, on: 0xffff00 };
+  Object.entries(WAIT_COLORS).forEach(([state, color], i) => {
+    const legendText = new PIXI.Text({
+      text: `● Wait mode ${state}`,
+      style: { ...labelStyle, fill: color },
+    });
+    legendText.x = chartLeft + i * 150;
+    legendText.y = chartTop + chartHeight + 12;
+    historyContainer.addChild(legendText);
+  });
+
+  const summaryText = new PIXI.Text({
+    text: "",
+    style: {
+      fontFamily: "Arial",
+      fontSize: 16,
+      fill: 0xffffff,
+      lineHeight: 22,
+    },
+  });
+  summaryText.x = chartLeft + chartWidth + 40;
+  summaryText.y = chartTop;
+  historyContainer.addChild(summaryText);
+
+  const closeButton = createButton(
+    "↩️",
+    width / 2,
+    panelTop + panelHeight - 50,
+    (e) => {
+      e.stopPropagation();
+      historyContainer.visible = false;
+      if (historyContainer.returnTo) historyContainer.returnTo.visible = true;
+    },
+    60,
+  );
+  historyContainer.addChild(closeButton);
+
+  const drawChart = (points) => {
+    chart.clear();
+    if (points.length === 0) return;
+
+    const step = points.length > 1 ? chartWidth / (points.length - 1) : 0;
+    const positions = points.map((point, i) => ({
+      x: points.length > 1 ? chartLeft + i * step : chartLeft + chartWidth / 2,
+      y: chartTop + chartHeight * (1 - point.accuracy / 100),
+      color: point.isWaitMode ? WAIT_COLORS.on : WAIT_COLORS.off,
+    }));
+
+    chart.moveTo(positions[0].x, positions[0].y);
+    for (const { x, y } of positions.slice(1)) chart.lineTo(x, y);
+    chart.stroke({ width: 2, color: 0x00ccff });
+
+    for (const { x, y, color } of positions) {
+      chart.circle(x, y, 5);
+      chart.fill(color);
+    }
+  };
+
+  /**
+   * @param {Object} history - { title, points: [{ accuracy, isWaitMode }],
+   *   summary } with the points oldest first
+   */
+  uiRefs.showHistory = ({ title, points, summary }) => {
+    headerText.text = `Practice History${title ? ` · ${title}` : ""}`;
+    drawChart(points);
+    summaryText.text =
+      points.length > 0 ? summary : "No runs yet.\nPlay the song to the end.";
+    historyContainer.visible = true;
+  };
+}
+
+/**
+ * Creates the export panel: the song as a MIDI file (🎼) or rendered to a WAV
+ * file (🔊). setExportStatus(text) shows the progress of a render; pass null
+ * to show the description again.
+ */
+function createExportPanel(
+  parentContainer,
+  { width, height },
+  callbacks,
+  uiRefs,
+) {
+  const exportContainer = new PIXI.Container();
+  exportContainer.visible = false;
+  parentContainer.addChild(exportContainer);
+  uiRefs.exportContainer = exportContainer;
+
+  const panelWidth = 560;
+  const panelHeight = 200;
+  const { panelTop } = createPanel(
+    exportContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const description =
+    "🎼 MIDI file for notation software\n🔊 WAV audio at the practice tempo";
+  const statusText = new PIXI.Text({
+    text: description,
+    style: {
+      fontFamily: "Arial",
+      fontSize: 20,
+      fill: 0xffffff,
+      align: "center",
+    },
+  });
+  statusText.x = width / 2;
+  statusText.y = panelTop + 55;
+  statusText.anchor.set(0.5);
+  exportContainer.addChild(statusText);
+
+  // MIDI (🎼), Audio (🔊) and Back (↩️)
+  const actions = [
+    {
+      text: "🎼",
+      onClick: () => {
+        if (callbacks.onExportMidi) callbacks.onExportMidi();
+      },
+    },
+    {
+      text: "🔊",
+      onClick: () => {
+        if (callbacks.onExportWav) callbacks.onExportWav();
+      },
+    },
+    {
+      text: "↩️",
+      onClick: () => {
+        exportContainer.visible = false;
+        uiRefs.menuContainer.visible = true;
+      },
+    },
+  ];
+
+  createButtonRow(
+    exportContainer,
+    width / 2,
+    panelTop + panelHeight - 60,
+    actions,
+  );
+
+  uiRefs.setExportStatus = (text) => {
+    statusText.text = text ?? description;
+  };
+}
+
+/**
+ * Creates the recording panel: record on/off, replay and download of the last
+ * take, plus the "REC" sign shown while recording (also during the game).
+ * setRecordingState({ isRecording, isReplaying, hasTake, label }) updates it.
+ */
+function createRecordingPanel(
+  parentContainer,
+  { width, height },
+  callbacks,
+  uiRefs,
+) {
+  const recordingContainer = new PIXI.Container();
+  recordingContainer.visible = false;
+  parentContainer.addChild(recordingContainer);
+  uiRefs.recordingContainer = recordingContainer;
+
+  const panelWidth = 560;
+  const panelHeight = 200;
+  const { panelTop } = createPanel(
+    recordingContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const statusText = new PIXI.Text({
+    text: "",
+    style: {
+      fontFamily: "Arial",
+      fontSize: 20,
+      fill: 0xffffff,
+      align: "center",
+      wordWrap: true,
+      wordWrapWidth: panelWidth - 40,
+    },
+  });
+  statusText.x = width / 2;
+  statusText.y = panelTop + 50;
+  statusText.anchor.set(0.5);
+  recordingContainer.addChild(statusText);
+
+  const close = () => {
+    recordingContainer.visible = false;
+    uiRefs.menuContainer.visible = true;
+  };
+
+  // Record (⏺ / ⏹), Replay (▶️ / ⏹), Download (💾) and Back (↩️)
+  const actions = [
+    {
+      text: "⏺",
+      onClick: () => {
+        if (callbacks.onToggleRecording) callbacks.onToggleRecording();
+        // Back to the piano to play
+        if (isRecording) close();
+      },
+    },
+    {
+      text: "▶️",
+      onClick: () => {
+        if (callbacks.onToggleReplay) callbacks.onToggleReplay();
+      },
+    },
+    {
+      text: "💾",
+      onClick: () => {
+        if (callbacks.onDownloadTake) callbacks.onDownloadTake();
+      },
+    },
+    {
+      text: "↩️",
+      onClick: () => {
+        if (callbacks.onRecordingClose) callbacks.onRecordingClose();
+        close();
+      },
+    },
+  ];
+
+  const [recordButton, replayButton, downloadButton] = createButtonRow(
+    recordingContainer,
+    width / 2,
+    panelTop + panelHeight - 60,
+    actions,
+  );
+
+  const recSign = new PIXI.Text({
+    text: "● REC",
+    style: {
+      fontFamily: "Arial",
+      fontSize: 18,
+      fill: 0xff4444,
+      fontWeight: "bold",
+      stroke: { color: 0x000000, width: 4 },
+    },
+  });
+  recSign.x = 15;
+  recSign.y = 80;
+  recSign.anchor.set(0, 0.5);
+  recSign.visible = false;
+  parentContainer.addChild(recSign);
+
+  let isRecording = false;
+  uiRefs.setRecordingState = (state) => {
+    isRecording = state.isRecording;
+    statusText.text = state.label;
+    recSign.visible = isRecording;
+
+    const recordColor = isRecording ? 0xcc3333 : 0x333333;
+    recordButton.setText(isRecording ? "⏹" : "⏺");
+    recordButton.updateColor(recordColor);
+    if (recordingContainer.menuButton) {
+      recordingContainer.menuButton.updateColor(recordColor);
+    }
+
+    replayButton.setText(state.isReplaying ? "⏹" : "▶️");
+    replayButton.visible = state.hasTake && !isRecording;
+    downloadButton.visible = state.hasTake && !isRecording;
+  };
+}
+
+/**
+ * Creates the on-screen sustain pedal, held down like a real pedal.
+ */
+function createPedalButton(parentContainer, callbacks, uiRefs) {
+  const pedalButton = createButton("🦶", 40, 40, () => {}, 50);
+  pedalButton.visible = false;
+  parentContainer.addChild(pedalButton);
+  uiRefs.pedalButton = pedalButton;
+
+  const setPedal = (isOn) => {
+    if (callbacks.onSustainChange) callbacks.onSustainChange(isOn);
+  };
+  pedalButton.on("pointerdown", (e) => {
+    e.stopPropagation();
+    setPedal(true);
+  });
+  pedalButton.on("pointerup", () => setPedal(false));
+  pedalButton.on("pointerupoutside", () => setPedal(false));
+
+  uiRefs.setSustainIndicator = (isOn) => {
+    pedalButton.updateColor(isOn ? 0x2e8b57 : 0x333333);
+  };
+}
+
+/**
+ * Creates the instrument picker: one row per track (tap to cycle through the
+ * instruments) plus buttons to load a sample pack from a zip or a folder.
+ */
+function createInstrumentPanel(
+  parentContainer,
+  { width, height },
+  config,
+  callbacks,
+  uiRefs,
+) {
+  const instrumentContainer = new PIXI.Container();
+  instrumentContainer.visible = false;
+  parentContainer.addChild(instrumentContainer);
+  uiRefs.instrumentContainer = instrumentContainer;
+
+  const panelWidth = 560;
+  const panelHeight = 300;
+  const { panelTop } = createPanel(
+    instrumentContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const labelStyle = {
+    fontFamily: "Arial",
+    fontSize: 22,
+    fill: 0xffffff,
+    align: "left",
+  };
+
+  const tracks = [
+    { track: "melody", label: "Melody" },
+    { track: "accompaniment", label: "Accompaniment" },
+  ];
+  const trackButtons = {};
+
+  tracks.forEach(({ track, label }, i) => {
+    const rowY = panelTop + 50 + i * 70;
+
+    const labelText = new PIXI.Text({ text: label, style: labelStyle });
+    labelText.x = width / 2 - panelWidth / 2 + 30;
+    labelText.y = rowY;
+    labelText.anchor.set(0, 0.5);
+    instrumentContainer.addChild(labelText);
+
+    const button = createButton(
+      "",
+      width / 2 + 100,
+      rowY,
+      (e) => {
+        e.stopPropagation();
+        if (callbacks.onCycleInstrument) callbacks.onCycleInstrument(track);
+      },
+      50,
+      0x333333,
+      280,
+    );
+    instrumentContainer.addChild(button);
+    trackButtons[track] = button;
+  });
+
+  // Load Sample Pack (📦 zip, 📁 folder), Keyboard Mapping (⌨️) and Back (↩️)
+  const actions = [
+    {
+      text: "📦",
+      onClick: () => {
+        if (callbacks.onLoadSamplePack) callbacks.onLoadSamplePack(false);
+      },
+    },
+    {
+      text: "📁",
+      onClick: () => {
+        if (callbacks.onLoadSamplePack) callbacks.onLoadSamplePack(true);
+      },
+    },
+    {
+      text: "⌨️",
+      onClick: () => {
+        if (callbacks.onEditKeyMap) callbacks.onEditKeyMap();
+      },
+    },
+    {
+      text: "↩️",
+      onClick: () => {
+        instrumentContainer.visible = false;
+        uiRefs.menuContainer.visible = true;
+      },
+    },
+  ];
+
+  createButtonRow(
+    instrumentContainer,
+    width / 2,
+    panelTop + panelHeight - 60,
+    actions,
+  );
+
+  uiRefs.setInstrumentNames = (names) => {
+    for (const { track } of tracks) {
+      trackButtons[track].setText(names[track]);
+    }
+  };
+  uiRefs.setInstrumentNames(config.instrumentNames);
+}
+
+const IMPORT_ROLE_LABELS = {
+  melody: "🎵 Melody",
+  accompaniment: "🎶 Accompaniment",
+  ignore: "✖ Ignore",
+};
+
+/**
+ * Creates the import dialog (MIDI and MusicXML), where each track is assigned
+ * a role.
+ * Rows are passed to uiRefs.showImportDialog / updateImportDialog as
+ * { description, role, isPreviewing }. The split point label is set with
+ * uiRefs.setImportSplit.
+ */
+function createImportPanel(
+  parentContainer,
+  { width, height },
+  callbacks,
+  uiRefs,
+) {
+  const importContainer = new PIXI.Container();
+  importContainer.visible = false;
+  parentContainer.addChild(importContainer);
+  uiRefs.importContainer = importContainer;
+
+  const panelWidth = 860;
+  const panelHeight = 380;
+  const { panelLeft, panelTop } = createPanel(
+    importContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const headerText = new PIXI.Text({
+    text: "Choose the tracks to play",
+    style: { fontFamily: "Arial", fontSize: 22, fill: 0xffffff },
+  });
+  headerText.x = width / 2;
+  headerText.y = panelTop + 20;
+  headerText.anchor.set(0.5, 0);
+  importContainer.addChild(headerText);
+
+  const trackList = createPagedRows(
+    importContainer,
+    { width },
+    panelTop + 90,
+    (rowsContainer, row, index, rowY) => {
+      const previewButton = createButton(
+        row.isPreviewing ? "⏹" : "▶️",
+        panelLeft + 45,
+        rowY,
+        (e) => {
+          e.stopPropagation();
+          if (callbacks.onPreviewTrack) callbacks.onPreviewTrack(index);
+        },
+        44,
+        row.isPreviewing ? 0x2e8b57 : 0x333333,
+      );
+      rowsContainer.addChild(previewButton);
+
+      const descriptionText = new PIXI.Text({
+        text: row.description,
+        style: { fontFamily: "Arial", fontSize: 16, fill: 0xffffff },
+      });
+      descriptionText.x = panelLeft + 80;
+      descriptionText.y = rowY;
+      descriptionText.anchor.set(0, 0.5);
+      rowsContainer.addChild(descriptionText);
+
+      const roleButton = createButton(
+        IMPORT_ROLE_LABELS[row.role],
+        panelLeft + panelWidth - 125,
+        rowY,
+        (e) => {
+          e.stopPropagation();
+          if (callbacks.onCycleTrackRole) callbacks.onCycleTrackRole(index);
+        },
+        44,
+        row.role === "ignore" ? 0x333333 : 0x2e8b57,
+        210,
+      );
+      rowsContainer.addChild(roleButton);
+    },
+  );
+
+  // Import (✅) and Cancel (↩️)
+  const actions = [
+    {
+      text: "✅",
+      onClick: () => {
+        if (callbacks.onImportConfirm) callbacks.onImportConfirm();
+      },
+    },
+    {
+      text: "↩️",
+      onClick: () => {
+        if (callbacks.onImportCancel) callbacks.onImportCancel();
+      },
+    },
+  ];
+
+  createButtonRow(
+    importContainer,
+    width / 2,
+    panelTop + panelHeight - 50,
+    actions,
+  );
+
+  // Split point (✂️) for playing one track with both hands
+  const splitButton = createButton(
+    "",
+    panelLeft + 110,
+    panelTop + panelHeight - 50,
+    (e) => {
+      e.stopPropagation();
+      if (callbacks.onCycleSplit) callbacks.onCycleSplit();
+    },
+    50,
+    0x333333,
+    170,
+  );
+  importContainer.addChild(splitButton);
+
+  uiRefs.setImportSplit = (label) => {
+    splitButton.setText(`✂️ ${label}`);
+  };
+
+  uiRefs.showImportDialog = (rows) => {
+    trackList.show(rows);
+    importContainer.visible = true;
+  };
+  uiRefs.updateImportDialog = (rows) => {
+    trackList.update(rows);
+  };
+}
+
+/**
+ * Creates the song library panel: the saved songs, a page at a time, with
+ * buttons to open, favorite, rename and remove them.
+ * Rows are { title, description, isFavorite, isCurrent }; callbacks get the
+ * row index.
+ */
+function createLibraryPanel(
+  parentContainer,
+  { width, height },
+  callbacks,
+  uiRefs,
+) {
+  const libraryContainer = new PIXI.Container();
+  libraryContainer.visible = false;
+  parentContainer.addChild(libraryContainer);
+  uiRefs.libraryContainer = libraryContainer;
+
+  const panelWidth = 860;
+  const panelHeight = 380;
+  const { panelLeft, panelTop } = createPanel(
+    libraryContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const headerText = new PIXI.Text({
+    text: "Song Library",
+    style: { fontFamily: "Arial", fontSize: 22, fill: 0xffffff },
+  });
+  headerText.x = width / 2;
+  headerText.y = panelTop + 20;
+  headerText.anchor.set(0.5, 0);
+  libraryContainer.addChild(headerText);
+
+  const emptyText = new PIXI.Text({
+    text: "No songs yet. Songs you open or import are listed here.",
+    style: { fontFamily: "Arial", fontSize: 18, fill: 0xcccccc },
+  });
+  emptyText.x = width / 2;
+  emptyText.y = panelTop + 150;
+  emptyText.anchor.set(0.5);
+  libraryContainer.addChild(emptyText);
+
+  const songList = createPagedRows(
+    libraryContainer,
+    { width },
+    panelTop + 90,
+    (rowsContainer, row, index, rowY) => {
+      const favoriteButton = createButton(
+        row.isFavorite ? "⭐" : "☆",
+        panelLeft + 45,
+        rowY,
+        (e) => {
+          e.stopPropagation();
+          if (callbacks.onLibraryToggleFavorite) {
+            callbacks.onLibraryToggleFavorite(index);
+          }
+        },
+        44,
+      );
+      rowsContainer.addChild(favoriteButton);
+
+      const titleText = new PIXI.Text({
+        text: row.title.substring(0, 40),
+        style: {
+          fontFamily: "Arial",
+          fontSize: 18,
+          fill: row.isCurrent ? 0x00ccff : 0xffffff,
+          fontWeight: "bold",
+        },
+      });
+      titleText.x = panelLeft + 80;
+      titleText.y = rowY - 2;
+      titleText.anchor.set(0, 1);
+      rowsContainer.addChild(titleText);
+
+      const descriptionText = new PIXI.Text({
+        text: row.description,
+        style: { fontFamily: "Arial", fontSize: 14, fill: 0xcccccc },
+      });
+      descriptionText.x = panelLeft + 80;
+      descriptionText.y = rowY + 2;
+      descriptionText.anchor.set(0, 0);
+      rowsContainer.addChild(descriptionText);
+
+      [
+        { text: "▶️", callback: callbacks.onLibraryOpenSong },
+        {
+          text: "📊",
+          callback: (i) => {
+            libraryContainer.visible = false;
+            uiRefs.historyContainer.returnTo = libraryContainer;
+            if (callbacks.onLibraryShowHistory) {
+              callbacks.onLibraryShowHistory(i);
+            }
+          },
+        },
+        { text: "✏️", callback: callbacks.onLibraryRename },
+        { text: "🗑️", callback: callbacks.onLibraryDelete },
+      ].forEach(({ text, callback }, n) => {
+        const button = createButton(
+          text,
+          panelLeft + panelWidth - 225 + n * 60,
+          rowY,
+          (e) => {
+            e.stopPropagation();
+            if (callback) callback(index);
+          },
+          44,
+        );
+        rowsContainer.addChild(button);
+      });
+    },
+  );
+
+  // Close (↩️)
+  const closeButton = createButton(
+    "↩️",
+    width / 2,
+    panelTop + panelHeight - 50,
+    (e) => {
+      e.stopPropagation();
+      if (callbacks.onLibraryClose) callbacks.onLibraryClose();
+    },
+    60,
+  );
+  libraryContainer.addChild(closeButton);
+
+  uiRefs.showLibrary = (rows) => {
+    songList.show(rows);
+    emptyText.visible = rows.length === 0;
+    libraryContainer.visible = true;
+  };
+  uiRefs.updateLibrary = (rows) => {
+    songList.update(rows);
+    emptyText.visible = rows.length === 0;
+  };
+}
+
+/**
+ * Creates the A–B loop panel: start and end measures, looping on/off and the
+ * tempo raise after each clean pass.
+ * Callbacks return the new labels { isEnabled, isSpeedUp, startLabel, endLabel }.
+ */
+function createLoopPanel(
+  parentContainer,
+  { width, height },
+  config,
+  callbacks,
+  uiRefs,
+) {
+  const loopContainer = new PIXI.Container();
+  loopContainer.visible = false;
+  parentContainer.addChild(loopContainer);
+  uiRefs.loopContainer = loopContainer;
+
+  const panelWidth = 560;
+  const panelHeight = 300;
+  const { panelTop } = createPanel(
+    loopContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const labelStyle = {
+    fontFamily: "Arial",
+    fontSize: 22,
+    fill: 0xffffff,
+    align: "left",
+  };
+
+  const rows = [
+    { which: "start", label: "From" },
+    { which: "end", label: "To" },
+  ];
+  const measureTexts = {};
+
+  rows.forEach(({ which, label }, i) => {
+    const rowY = panelTop + 50 + i * 70;
+
+    const labelText = new PIXI.Text({ text: label, style: labelStyle });
+    labelText.x = width / 2 - panelWidth / 2 + 30;
+    labelText.y = rowY;
+    labelText.anchor.set(0, 0.5);
+    loopContainer.addChild(labelText);
+
+    const measureText = new PIXI.Text({
+      text: "",
+      style: { ...labelStyle, align: "center" },
+    });
+    measureText.x = width / 2 + 100;
+    measureText.y = rowY;
+    measureText.anchor.set(0.5);
+    loopContainer.addChild(measureText);
+    measureTexts[which] = measureText;
+
+    [
+      { text: "◀", x: width / 2 + 10, delta: -1 },
+      { text: "▶", x: width / 2 + 190, delta: 1 },
+    ].forEach(({ text, x, delta }) => {
+      const button = createButton(
+        text,
+        x,
+        rowY,
+        (e) => {
+          e.stopPropagation();
+          if (callbacks.onLoopMeasureChange) {
+            setLabels(callbacks.onLoopMeasureChange(which, delta));
+          }
+        },
+        50,
+      );
+      loopContainer.addChild(button);
+    });
+  });
+
+  // Loop On/Off (🔁), Speed Up (📈) and Back (↩️)
+  const actions = [
+    {
+      text: "🔁",
+      onClick: () => {
+        if (callbacks.onToggleLoop) setLabels(callbacks.onToggleLoop());
+      },
+    },
+    {
+      text: "📈",
+      onClick: () => {
+        if (callbacks.onToggleLoopSpeedUp) {
+          setLabels(callbacks.onToggleLoopSpeedUp());
+        }
+      },
+    },
+    {
+      text: "↩️",
+      onClick: () => {
+        loopContainer.visible = false;
+        uiRefs.menuContainer.visible = true;
+      },
+    },
+  ];
+
+  const [loopButton, speedUpButton] = createButtonRow(
+    loopContainer,
+    width / 2,
+    panelTop + panelHeight - 60,
+    actions,
+  );
+
+  const setLabels = ({ isEnabled, isSpeedUp, startLabel, endLabel }) => {
+    measureTexts.start.text = startLabel;
+    measureTexts.end.text = endLabel;
+    loopButton.updateColor(isEnabled ? 0x2e8b57 : 0x333333);
+    speedUpButton.updateColor(isSpeedUp ? 0x2e8b57 : 0x333333);
+  };
+  setLabels(config.loopLabels);
+}
+
+/**
+ * Creates the tempo panel: a slider from the slowest to the fastest practice
+ * tempo, with buttons for single steps, and the metronome settings.
+ */
+function createTempoPanel(
+  parentContainer,
+  { width, height },
+  config,
+  callbacks,
+  uiRefs,
+) {
+  const tempoContainer = new PIXI.Container();
+  tempoContainer.visible = false;
+  parentContainer.addChild(tempoContainer);
+  uiRefs.tempoContainer = tempoContainer;
+
+  const panelWidth = 560;
+  const panelHeight = 240;
+  const { panelTop } = createPanel(
+    tempoContainer,
+    { width, height },
+    panelWidth,
+    panelHeight,
+  );
+
+  const valueText = new PIXI.Text({
+    text: "",
+    style: {
+      fontFamily: "Arial",
+      fontSize: 26,
+      fill: 0xffffff,
+      align: "center",
+      fontWeight: "bold",
+    },
+  });
+  valueText.x = width / 2;
+  valueText.y = panelTop + 40;
+  valueText.anchor.set(0.5);
+  tempoContainer.addChild(valueText);
+
+  // Slider
+  const { minPercent, maxPercent, stepPercent } = config.tempoLabels;
+  const sliderWidth = 340;
+  const sliderLeft = width / 2 - sliderWidth / 2;
+  const sliderY = panelTop + 105;
+
+  const slider = new PIXI.Container();
+  slider.eventMode = "static";
+  slider.cursor = "pointer";
+  tempoContainer.addChild(slider);
+
+  const track = new PIXI.Graphics();
+  track.roundRect(sliderLeft, sliderY - 5, sliderWidth, 10, 5);
+  track.fill(0x555555);
+  // A taller invisible area makes the slider easier to hit
+  track.rect(sliderLeft - 15, sliderY - 20, sliderWidth + 30, 40);
+  track.fill({ color: 0x000000, alpha: 0.001 });
+  slider.addChild(track);
+
+  const knob = new PIXI.Graphics();
+  knob.circle(0, 0, 14);
+  knob.fill(0x00ccff);
+  knob.stroke({ width: 2, color: 0xffffff });
+  knob.y = sliderY;
+  slider.addChild(knob);
+
+  const percentToX = (percent) =>
+    sliderLeft +
+    ((percent - minPercent) / (maxPercent - minPercent)) * sliderWidth;
+  const xToPercent = (x) => {
+    const fraction = Math.min(Math.max((x - sliderLeft) / sliderWidth, 0), 1);
+    return minPercent + fraction * (maxPercent - minPercent);
+  };
+
+  let currentPercent = config.tempoLabels.percent;
+  const setLabels = ({ percent, label }) => {
+    currentPercent = percent;
+    knob.x = percentToX(percent);
+    valueText.text = label;
+  };
+
+  const changeTempo = (percent) => {
+    if (callbacks.onTempoChange) setLabels(callbacks.onTempoChange(percent));
+  };
+
+  // The knob follows the pointer; the tempo is set on release
+  let isDragging = false;
+  slider.on("pointerdown", (e) => {
+    e.stopPropagation();
+    isDragging = true;
+    knob.x = slider.toLocal(e.global).x;
+  });
+  slider.on("globalpointermove", (e) => {
+    if (!isDragging) return;
+    knob.x = percentToX(xToPercent(slider.toLocal(e.global).x));
+  });
+  const endDrag = (e) => {
+    if (!isDragging) return;
+    isDragging = false;
+    changeTempo(xToPercent(slider.toLocal(e.global).x));
+  };
+  slider.on("pointerup", endDrag);
+  slider.on("pointerupoutside", endDrag);
+
+  [
+    { text: "◀", x: sliderLeft - 55, step: -1 },
+    { text: "▶", x: sliderLeft + sliderWidth + 55, step: 1 },
+  ].forEach(({ text, x, step }) => {
+    const button = createButton(
+      text,
+      x,
+      sliderY,
+      (e) => {
+        e.stopPropagation();
+        changeTempo(currentPercent + step * stepPercent);
+      },
+      50,
+    );
+    tempoContainer.addChild(button);
+  });
+
+  // Metronome (🥁) and count-in
+  const bottomY = panelTop + panelHeight - 50;
+  const metronomeButton = createButton(
+    "🥁",
+    width / 2 - 190,
+    bottomY,
+    (e) => {
+      e.stopPropagation();
+      if (callbacks.onToggleMetronome) {
+        setMetronomeLabels(callbacks.onToggleMetronome());
+      }
+    },
+    60,
+  );
+  tempoContainer.addChild(metronomeButton);
+
+  const countInButton = createButton(
+    "",
+    width / 2,
+    bottomY,
+    (e) => {
+      e.stopPropagation();
+      if (callbacks.onCycleCountIn) {
+        setMetronomeLabels(callbacks.onCycleCountIn());
+      }
+    },
+    50,
+    0x333333,
+    240,
+  );
+  tempoContainer.addChild(countInButton);
+
+  const setMetronomeLabels = ({ isEnabled, countInLabel }) => {
+    metronomeButton.updateColor(isEnabled ? 0x2e8b57 : 0x333333);
+    countInButton.setText(countInLabel);
+  };
+  setMetronomeLabels(config.metronomeLabels);
+
+  // Back (↩️)
+  const backButton = createButton(
+    "↩️",
+    width / 2 + 190,
+    bottomY,
+    (e) => {
+      e.stopPropagation();
+      tempoContainer.visible = false;
+      uiRefs.menuContainer.visible = true;
+      if (tempoContainer.menuButton) {
+        tempoContainer.menuButton.updateColor(
+          currentPercent !== 100 ? 0x2e8b57 : 0x333333,
+        );
+      }
+    },
+    60,
+  );
+  tempoContainer.addChild(backButton);
+
+  setLabels(config.tempoLabels);
+}
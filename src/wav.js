@@ -0,0 +1,59 @@
+/**
+ * WAV file writer: 16-bit PCM in a RIFF container.
+ */
+
+const BITS_PER_SAMPLE = 16;
+const HEADER_SIZE = 44;
+
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Encodes rendered audio as a WAV file.
+ * @param {AudioBuffer} audioBuffer
+ * @returns {ArrayBuffer} Contents of the .wav file
+ */
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const blockAlign = (numberOfChannels * BITS_PER_SAMPLE) / 8;
+  const dataSize = length * blockAlign;
+  const buffer = new ArrayBuffer(HEADER_SIZE + dataSize);
+  const view = new DataView(buffer);
+
+  writeAscii(view, 0, "RIFF");
+  view.setUint32(4, HEADER_SIZE - 8 + dataSize, true);
+  writeAscii(view, 8, "WAVE");
+  writeAscii(view, 12, "fmt ");
+  view.setUint32(16, 16, true); // Size of the format chunk
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, BITS_PER_SAMPLE, true);
+  writeAscii(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  // Samples are interleaved by channel
+  const channels = [];
+  for (let c = 0; c < numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  let offset = HEADER_SIZE;
+  for (let i = 0; i < length; i++) {
+    for (const data of channels) {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      view.setInt16(
+        offset,
+        sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+        true,
+      );
+      offset += 2;
+    }
+  }
+
+  return buffer;
+}